@@ -0,0 +1,51 @@
+/**
+ * Passo 14 (complemento): Comparar a versão salva com a anterior.
+ *
+ * Quando o passo 14 salva uma nova versão do HTML, ela é comparada com a versão anterior
+ * (veja lib/diferencas.js). Scripts, iframes e trechos ofuscados adicionados são marcados
+ * como suspeitos, que é como costumam aparecer as invasões em sites WordPress.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk').default;
+const { criarPastas } = require('../lib/pastas');
+const { compararVersoes } = require('../lib/diferencas');
+
+const REGIOES_EXIBIDAS = 5;
+
+function formatarAlteracoes({ savedFile, alteracoes }) {
+  if (!savedFile) return chalk.gray('Nenhuma nova versão');
+  if (!alteracoes) return chalk.gray('Primeira versão salva');
+  const { adicionadas, removidas, regioes, suspeitos } = alteracoes;
+  if (!regioes.length) return chalk.green('Sem alterações relevantes (apenas nonces, datas ou cache)');
+  const linhas = [
+    chalk.yellow(`${regioes.length} ${regioes.length === 1 ? 'região alterada' : 'regiões alteradas'} (+${adicionadas}/-${removidas} linhas)`),
+    ...regioes.slice(0, REGIOES_EXIBIDAS).map(regiao =>
+      `   linha ${regiao.linha}: +${regiao.adicionadas}/-${regiao.removidas} ${chalk.gray(regiao.trecho)}`)
+  ];
+  if (regioes.length > REGIOES_EXIBIDAS) linhas.push(`   ... e mais ${regioes.length - REGIOES_EXIBIDAS} regiões`);
+  for (const suspeito of suspeitos) {
+    linhas.push(chalk.red.bold(`   SUSPEITO (${suspeito.motivo}): ${suspeito.trecho}`));
+  }
+  return linhas.join('\n');
+}
+
+module.exports = {
+  id: 'alteracoes',
+  rotulo: 'Alterações no Conteúdo',
+  descricao: 'Alterações comparadas',
+  ordem: 145,
+  dependencias: ['disponibilidade', 'versoes'],
+  esquema: { conteudoAlterado: 'boolean', alteracoes: 'object|null' },
+  padrao: { conteudoAlterado: false, alteracoes: null },
+  executar: ({ dominio, dados }) => {
+    if (!dados.online || !dados.savedFile || !dados.versaoAnterior) return { conteudoAlterado: false, alteracoes: null };
+    const anterior = fs.readFileSync(path.join(criarPastas(dominio), dados.versaoAnterior), 'utf8');
+    // Sem uma das páginas, todas as linhas da outra contariam como alteradas (e scripts como suspeitos)
+    if (!anterior.trim() || typeof dados.content !== 'string' || !dados.content.trim()) return { conteudoAlterado: false, alteracoes: null };
+    const alteracoes = compararVersoes(anterior, dados.content);
+    return { conteudoAlterado: alteracoes.regioes.length > 0, alteracoes };
+  },
+  formatar: formatarAlteracoes
+};
@@ -0,0 +1,143 @@
+/**
+ * Passo 7 (complemento): Auditoria dos cabeçalhos HTTP de segurança.
+ *
+ * Usa a resposta obtida no passo 2 e distribui 100 pontos entre os itens abaixo; a nota vai de
+ * A (90+) a F (menos de 35):
+ *  - Content-Security-Policy (25): sem 'unsafe-inline'/'unsafe-eval' nos scripts vale tudo
+ *  - Strict-Transport-Security (20): max-age de pelo menos 180 dias vale tudo
+ *  - X-Frame-Options ou frame-ancestors no CSP (15)
+ *  - X-Content-Type-Options: nosniff (10)
+ *  - Referrer-Policy (10), exceto unsafe-url
+ *  - Permissions-Policy (5)
+ *  - Cookies com Secure, HttpOnly e SameSite (10, proporcional; sem cookies vale tudo)
+ *  - Server e X-Powered-By sem número de versão (5)
+ */
+
+const chalk = require('chalk').default;
+
+const SEIS_MESES = 180 * 24 * 60 * 60;
+
+const NOTAS = [[90, 'A'], [80, 'B'], [65, 'C'], [50, 'D'], [35, 'E'], [0, 'F']];
+
+function item(id, maximo, pontos, detalhe) {
+  return { id, pontos, maximo, detalhe };
+}
+
+function avaliarCsp(headers) {
+  const csp = headers['content-security-policy'];
+  if (!csp) {
+    return headers['content-security-policy-report-only']
+      ? item('Content-Security-Policy', 25, 5, 'apenas Report-Only')
+      : item('Content-Security-Policy', 25, 0, 'ausente');
+  }
+  const scripts = (csp.match(/(?:^|;)\s*script-src([^;]*)/i) || csp.match(/(?:^|;)\s*default-src([^;]*)/i) || [])[1] || '';
+  return /'unsafe-(inline|eval)'/i.test(scripts)
+    ? item('Content-Security-Policy', 25, 15, "permite 'unsafe-inline'/'unsafe-eval'")
+    : item('Content-Security-Policy', 25, 25, 'presente');
+}
+
+function avaliarHsts(headers, https) {
+  if (!https) return item('Strict-Transport-Security', 20, 0, 'site sem HTTPS');
+  const hsts = headers['strict-transport-security'];
+  if (!hsts) return item('Strict-Transport-Security', 20, 0, 'ausente');
+  const maxAge = Number((hsts.match(/max-age=(\d+)/i) || [])[1] || 0);
+  return maxAge >= SEIS_MESES
+    ? item('Strict-Transport-Security', 20, 20, hsts)
+    : item('Strict-Transport-Security', 20, 10, `max-age curto (${maxAge} s)`);
+}
+
+function avaliarFrames(headers) {
+  const xfo = String(headers['x-frame-options'] || '').toUpperCase();
+  const csp = headers['content-security-policy'] || '';
+  if (/frame-ancestors/i.test(csp)) return item('X-Frame-Options', 15, 15, 'frame-ancestors no CSP');
+  if (xfo === 'DENY' || xfo === 'SAMEORIGIN') return item('X-Frame-Options', 15, 15, xfo);
+  return item('X-Frame-Options', 15, 0, xfo ? `valor inválido (${xfo})` : 'ausente');
+}
+
+function avaliarNosniff(headers) {
+  const valor = String(headers['x-content-type-options'] || '');
+  return valor.toLowerCase() === 'nosniff'
+    ? item('X-Content-Type-Options', 10, 10, 'nosniff')
+    : item('X-Content-Type-Options', 10, 0, valor ? `valor inválido (${valor})` : 'ausente');
+}
+
+function avaliarReferrer(headers) {
+  const valor = headers['referrer-policy'];
+  if (!valor) return item('Referrer-Policy', 10, 0, 'ausente');
+  return /unsafe-url/i.test(valor)
+    ? item('Referrer-Policy', 10, 0, 'unsafe-url')
+    : item('Referrer-Policy', 10, 10, valor);
+}
+
+function avaliarPermissions(headers) {
+  return headers['permissions-policy']
+    ? item('Permissions-Policy', 5, 5, 'presente')
+    : item('Permissions-Policy', 5, 0, 'ausente');
+}
+
+// Cada cookie vale até 3 marcas (Secure só conta em HTTPS); a nota é proporcional
+function avaliarCookies(headers, https) {
+  const cookies = [].concat(headers['set-cookie'] || []);
+  if (!cookies.length) return item('Cookies', 10, 10, 'nenhum cookie');
+  const problemas = [];
+  let marcas = 0;
+  for (const cookie of cookies) {
+    const nome = cookie.split('=')[0].trim();
+    const faltando = [
+      https && !/;\s*secure/i.test(cookie) ? 'Secure' : null,
+      !/;\s*httponly/i.test(cookie) ? 'HttpOnly' : null,
+      !/;\s*samesite=/i.test(cookie) ? 'SameSite' : null
+    ].filter(Boolean);
+    marcas += (https ? 3 : 2) - faltando.length;
+    if (faltando.length) problemas.push(`${nome} sem ${faltando.join('/')}`);
+  }
+  const pontos = Math.round((marcas / (cookies.length * (https ? 3 : 2))) * 10);
+  return item('Cookies', 10, pontos, problemas.length ? problemas.join('; ') : `${cookies.length} cookie(s) com todas as marcas`);
+}
+
+function avaliarVazamentos(headers) {
+  const vazamentos = ['server', 'x-powered-by']
+    .filter(nome => /\d/.test(String(headers[nome] || '')))
+    .map(nome => `${nome}: ${headers[nome]}`);
+  return vazamentos.length
+    ? item('Versão do servidor', 5, 0, vazamentos.join('; '))
+    : item('Versão do servidor', 5, 5, 'não revelada');
+}
+
+function auditarCabecalhos(response, url) {
+  const headers = response.headers || {};
+  const https = url.toLowerCase().startsWith('https');
+  const itens = [
+    avaliarCsp(headers),
+    avaliarHsts(headers, https),
+    avaliarFrames(headers),
+    avaliarNosniff(headers),
+    avaliarReferrer(headers),
+    avaliarPermissions(headers),
+    avaliarCookies(headers, https),
+    avaliarVazamentos(headers)
+  ];
+  const pontos = itens.reduce((total, i) => total + i.pontos, 0);
+  return { nota: NOTAS.find(([minimo]) => pontos >= minimo)[1], pontos, itens };
+}
+
+function formatarCabecalhos({ cabecalhos }) {
+  if (!cabecalhos) return chalk.gray("N/A");
+  const cor = { A: chalk.green.bold, B: chalk.green, C: chalk.yellow, D: chalk.hex('#FFA500'), E: chalk.red, F: chalk.red.bold }[cabecalhos.nota];
+  return `${cor(`Nota ${cabecalhos.nota}`)} (${cabecalhos.pontos}/100)\n${cabecalhos.itens.map(i => {
+    const situacao = i.pontos === i.maximo ? chalk.green('OK') : i.pontos > 0 ? chalk.yellow('Parcial') : chalk.red('Falha');
+    return `   ${situacao} ${i.id}: ${chalk.gray(i.detalhe)} (${i.pontos}/${i.maximo})`;
+  }).join('\n')}`;
+}
+
+module.exports = {
+  id: 'cabecalhos',
+  rotulo: 'Cabeçalhos de Segurança',
+  descricao: 'Cabeçalhos de segurança auditados',
+  ordem: 75,
+  dependencias: ['tempo-resposta'],
+  esquema: { cabecalhos: 'object|null' },
+  padrao: { cabecalhos: null },
+  executar: ({ url, dados }) => ({ cabecalhos: dados.response ? auditarCabecalhos(dados.response, url) : null }),
+  formatar: formatarCabecalhos
+};
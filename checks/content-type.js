@@ -0,0 +1,21 @@
+/**
+ * Passo 7: Obter o cabeçalho Content-Type.
+ */
+
+const chalk = require('chalk').default;
+
+function getContentType(response) {
+  return (response && response.headers && response.headers['content-type']) || 'N/A';
+}
+
+module.exports = {
+  id: 'content-type',
+  rotulo: 'Content-Type',
+  descricao: 'Content-Type obtido',
+  ordem: 70,
+  dependencias: ['tempo-resposta'],
+  esquema: { contentType: 'string' },
+  padrao: { contentType: 'N/A' },
+  executar: ({ dados }) => ({ contentType: getContentType(dados.response) }),
+  formatar: ({ contentType }) => chalk.white(contentType)
+};
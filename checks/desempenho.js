@@ -0,0 +1,74 @@
+/**
+ * Passo 15: Medir o desempenho (score).
+ *
+ * Com as métricas coletadas no navegador durante o screenshot (passo 16), o score vem delas
+ * (TTFB, FCP, LCP, CLS e total blocking time, veja lib/metricas.js); sem elas (screenshot
+ * desativado para o site ou página que não carregou no navegador), do tempo de resposta.
+ */
+
+const chalk = require('chalk').default;
+const { pontuarMetricas, classificarMetrica } = require('../lib/metricas');
+
+function medirDesempenho(respTime) {
+  if (respTime === null) return 0;
+  if (respTime < 0.5) return 100;
+  else if (respTime < 1) return 90;
+  else if (respTime < 1.5) return 80;
+  else if (respTime < 2) return 70;
+  else if (respTime < 2.5) return 60;
+  else return 50;
+}
+
+function formatarBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+const CORES = { bom: chalk.green, melhorar: chalk.yellow, ruim: chalk.red };
+
+function formatarMetrica(nome, metrica, valor) {
+  if (valor === null) return `${nome} ${chalk.gray('N/A')}`;
+  const texto = metrica === 'cls' ? String(valor) : `${valor} ms`;
+  return `${nome} ${CORES[classificarMetrica(metrica, valor)](texto)}`;
+}
+
+function formatarWebVitals(webVitals) {
+  const { requisicoes } = webVitals;
+  const tipos = Object.entries(requisicoes.porTipo)
+    .sort(([, a], [, b]) => b.bytes - a.bytes)
+    .map(([tipo, { quantidade, bytes }]) => `${tipo} ${quantidade} (${formatarBytes(bytes)})`);
+  const ambiente = [webVitals.emulacao, webVitals.rede].filter(Boolean).join(', ');
+  return [
+    `   ${[
+      formatarMetrica('TTFB', 'ttfb', webVitals.ttfb),
+      formatarMetrica('FCP', 'fcp', webVitals.fcp),
+      formatarMetrica('LCP', 'lcp', webVitals.lcp),
+      formatarMetrica('CLS', 'cls', webVitals.cls),
+      formatarMetrica('TBT', 'tbt', webVitals.tbt)
+    ].join(' | ')} ${chalk.gray(`(${ambiente})`)}`,
+    `   DOMContentLoaded ${webVitals.domContentLoaded} ms | load ${webVitals.load} ms`,
+    `   Requisições: ${requisicoes.total} (${formatarBytes(requisicoes.bytes)})${requisicoes.falhas ? chalk.red(`, ${requisicoes.falhas} com erro`) : ''}${tipos.length ? ` - ${tipos.join(', ')}` : ''}`,
+    ...requisicoes.maiores.map(recurso => `   ${chalk.gray(`${formatarBytes(recurso.bytes)} ${recurso.tipo}`)} ${recurso.url}`)
+  ].join('\n');
+}
+
+module.exports = {
+  id: 'desempenho',
+  rotulo: 'Desempenho',
+  descricao: 'Desempenho medido',
+  ordem: 150,
+  dependencias: ['tempo-resposta'],
+  dependenciasOpcionais: ['screenshot'],
+  esquema: { performanceScore: 'number' },
+  padrao: { performanceScore: 0 },
+  executar: ({ dados }) => ({
+    performanceScore: dados.webVitals ? pontuarMetricas(dados.webVitals) : medirDesempenho(dados.respTime)
+  }),
+  formatar: ({ performanceScore, webVitals }) => {
+    const score = performanceScore >= 90 ? chalk.bold.green(`${performanceScore}%`)
+                : performanceScore >= 70 ? chalk.bold.yellow(`${performanceScore}%`)
+                : chalk.bold.red(`${performanceScore}%`);
+    return webVitals ? `${score}\n${formatarWebVitals(webVitals)}` : `${score} ${chalk.gray('(pelo tempo de resposta)')}`;
+  }
+};
@@ -0,0 +1,218 @@
+/**
+ * Passo 1: Verificar disponibilidade do site (usando 5 métodos) e classificar o resultado.
+ *
+ * A sonda principal é um GET na URL, repetido em caso de falha de rede, timeout ou status 5xx/429
+ * (--retries vezes, com espera dobrando a partir de --retry-delay). As outras sondas (HEAD, GET
+ * com User-Agent de navegador, GET com barra no final e conexão TCP na porta do site) rodam uma
+ * vez e ajudam a explicar a falha. O resultado é uma das situações de SITUACOES, com o motivo e o
+ * resultado de cada sonda; só "online" e "degradado" contam como site ONLINE.
+ *
+ * Por site podem ser exigidos o status esperado (status=200,401) e textos que a página deve
+ * conter (keyword=...); um texto ausente deixa o site degradado (veja lib/sites.js).
+ */
+
+const net = require('net');
+const cheerio = require('cheerio');
+const chalk = require('chalk').default;
+const { performance } = require('perf_hooks');
+const { http, opcoesRequisicao, sleep } = require('../lib/http');
+
+const SITUACOES = {
+  online: 'ONLINE',
+  degradado: 'DEGRADADO',
+  offline: 'OFFLINE',
+  dns: 'FALHA DE DNS',
+  tls: 'ERRO DE TLS',
+  timeout: 'TIMEOUT',
+  recusada: 'CONEXÃO RECUSADA',
+  'http-4xx': 'HTTP 4XX',
+  'http-5xx': 'HTTP 5XX',
+  waf: 'DESAFIO DE WAF',
+  estacionado: 'DOMÍNIO ESTACIONADO'
+};
+
+const NAVEGADOR = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+// Páginas de domínios estacionados ou à venda: frases procuradas no texto visível da página
+const FRASES_ESTACIONADO = /this domain (name )?(is|may be) for sale|buy this domain|domain (is )?parked|parked free|este domínio (está|pode estar) à venda|domínio estacionado/i;
+
+// Serviços de parking e registradores: só contam nos scripts, iframes, meta refresh e no host final
+// (o nome pode aparecer no texto de um site normal, num post ou num link de parceiro)
+const PROVEDORES_ESTACIONAMENTO = /(^|[/.])(sedoparking\.com|parkingcrew\.net|bodis\.com|afternic\.com|hugedomains\.com|dan\.com)([/:?#]|$)/i;
+
+function paginaEstacionada(corpo, urlDaPagina) {
+  const $ = cheerio.load(corpo);
+  const enderecos = [
+    ...$('script[src], iframe[src]').map((i, el) => $(el).attr('src')).get(),
+    ...$('meta[http-equiv="refresh" i]').map((i, el) => $(el).attr('content') || '').get(),
+    new URL(urlDaPagina).hostname
+  ];
+  if (enderecos.some(endereco => PROVEDORES_ESTACIONAMENTO.test(endereco))) return true;
+  $('script, style, noscript').remove();
+  return FRASES_ESTACIONADO.test(`${$('title').text()} ${$('body').text()}`.replace(/\s+/g, ' '));
+}
+
+// Códigos de erro do Node/OpenSSL que indicam problema no TLS (certificado, protocolo)
+const ERRO_TLS = /CERT|SSL|TLS|SELF_SIGNED|UNABLE_TO_VERIFY|EPROTO|DEPTH_ZERO/;
+
+function classificarErro(codigo, mensagem) {
+  if (['ENOTFOUND', 'EAI_AGAIN', 'ENODATA'].includes(codigo)) return 'dns';
+  if (codigo === 'ECONNREFUSED') return 'recusada';
+  if (['ECONNABORTED', 'ETIMEDOUT'].includes(codigo) || /timeout/i.test(mensagem)) return 'timeout';
+  if (ERRO_TLS.test(codigo)) return 'tls';
+  return 'offline';
+}
+
+// Nome do WAF quando a resposta é uma página de desafio ou bloqueio, senão null
+function detectarWaf(status, headers, corpo) {
+  const servidor = String(headers.server || '');
+  if (headers['cf-mitigated'] === 'challenge') return 'Cloudflare';
+  if (/cloudflare/i.test(servidor) && [403, 429, 503].includes(status)
+      && /just a moment|cf-chl|challenge-platform|attention required/i.test(corpo)) return 'Cloudflare';
+  if (status >= 400 && (headers['x-sucuri-block'] || /sucuri website firewall/i.test(corpo))) return 'Sucuri';
+  if (/incapsula incident|_incapsula_resource/i.test(corpo)) return 'Imperva (Incapsula)';
+  if (status === 403 && /akamaighost/i.test(servidor)) return 'Akamai';
+  return null;
+}
+
+/**
+ * Faz uma requisição e devolve a sonda { metodo, url, status, erro, tempo, ok, res } (erro é o
+ * código do erro de rede; ok indica que o status é o esperado).
+ */
+async function sondarHttp(metodo, url, site, sucesso, extras = {}) {
+  // O tempo conta a partir do início registrado pelo http (depois da espera pelo host)
+  const tempoDesde = config => Math.round(performance.now() - ((config && config.inicioRequisicao) || performance.now()));
+  try {
+    const res = await http.request({ url, method: extras.method || 'get', ...opcoesRequisicao(site, { validateStatus: () => true, headers: extras.headers }) });
+    return { metodo, url, status: res.status, erro: null, tempo: tempoDesde(res.config), ok: sucesso(res.status), res };
+  } catch (e) {
+    return { metodo, url, status: null, erro: e.code || e.message, mensagem: e.message, tempo: tempoDesde(e.config), ok: false, res: null };
+  }
+}
+
+// Sonda principal com novas tentativas em falhas transitórias (rede, timeout, 5xx e 429), até a
+// verificação ser cancelada
+async function comTentativas(sondar, tentativas, espera, sinal) {
+  let sonda;
+  for (let tentativa = 1; tentativa <= tentativas + 1; tentativa++) {
+    sonda = await sondar();
+    sonda.tentativas = tentativa;
+    const transitoria = sonda.erro ? !['ENOTFOUND', 'ENODATA'].includes(sonda.erro) : sonda.status >= 500 || sonda.status === 429;
+    if (sonda.ok || !transitoria || tentativa > tentativas || (sinal && sinal.aborted)) break;
+    await sleep(espera * 2 ** (tentativa - 1));
+  }
+  return sonda;
+}
+
+function sondarTcp(hostname, porta, timeout) {
+  const inicio = performance.now();
+  return new Promise(resolve => {
+    const socket = net.createConnection({ host: hostname, port: porta, timeout });
+    const concluir = erro => {
+      socket.destroy();
+      resolve({ metodo: `TCP :${porta}`, status: null, erro, tempo: Math.round(performance.now() - inicio), ok: !erro });
+    };
+    socket.once('connect', () => concluir(null));
+    socket.once('timeout', () => concluir('ETIMEDOUT'));
+    socket.once('error', e => concluir(e.code || e.message));
+  });
+}
+
+// URL da página entregue, depois dos redirecionamentos seguidos pelo axios
+const urlFinal = sonda => (sonda.res.request && sonda.res.request.res && sonda.res.request.res.responseUrl) || sonda.url;
+
+const descreverSonda = sonda => (sonda.erro ? `erro ${sonda.erro}` : sonda.status === null ? 'conectou' : `status ${sonda.status}`);
+
+// Classifica uma resposta sem sucesso (ou uma página de sucesso que não é o site): { situacao, motivo }
+function classificarFalha(sonda, esperados) {
+  if (sonda.erro) return { situacao: classificarErro(sonda.erro, sonda.mensagem || ''), motivo: `erro ${sonda.erro}` };
+  const corpo = String(sonda.res.data || '');
+  const waf = detectarWaf(sonda.status, sonda.res.headers, corpo);
+  if (waf) return { situacao: 'waf', motivo: `desafio ou bloqueio do ${waf} (status ${sonda.status})` };
+  if (sonda.status >= 500) return { situacao: 'http-5xx', motivo: `status ${sonda.status}` };
+  if (sonda.status >= 400) return { situacao: 'http-4xx', motivo: `status ${sonda.status}` };
+  return { situacao: 'offline', motivo: `status ${sonda.status}${esperados ? ` (esperado ${esperados.join(' ou ')})` : ''}` };
+}
+
+// Pior caso: todas as tentativas do GET expirando, com as esperas entre elas, e depois as sondas
+// secundárias (em paralelo, uma vez só), com folga para o espaçamento entre requisições ao host
+function tempoLimite({ site, opcoes }) {
+  return site.timeout * (site.retries + 2) + opcoes.retryDelay * (2 ** site.retries - 1) + 30000;
+}
+
+async function verificarSite(url, site, opcoes) {
+  const esperados = site.expectedStatus || null;
+  const sucesso = status => (esperados ? esperados.includes(status) : status >= 200 && status < 300);
+  const principal = await comTentativas(() => sondarHttp('GET', url, site, sucesso), site.retries, opcoes.retryDelay, site.sinal);
+
+  const { hostname, port, protocol } = new URL(url);
+  const urlBarra = url.endsWith('/') ? null : url + '/';
+  const secundarias = await Promise.all([
+    sondarHttp('HEAD', url, site, status => status < 400, { method: 'head' }),
+    sondarHttp('GET (navegador)', url, site, sucesso, { headers: { 'User-Agent': NAVEGADOR } }),
+    urlBarra ? sondarHttp('GET (com barra)', urlBarra, site, sucesso) : null,
+    sondarTcp(hostname, Number(port) || (protocol === 'https:' ? 443 : 80), site.timeout)
+  ]);
+  const sondas = [principal, ...secundarias.filter(Boolean)];
+  const tcp = sondas[sondas.length - 1];
+
+  // A página vem da primeira sonda GET que respondeu como esperado
+  const respondeu = [principal, secundarias[1], secundarias[2]].find(sonda => sonda && sonda.ok);
+  let classificacao;
+  if (!respondeu) {
+    classificacao = classificarFalha(principal, esperados);
+    if (classificacao.situacao !== 'dns' && tcp.ok) classificacao.motivo += `; o servidor aceita conexões na porta ${tcp.metodo.split(':')[1]}`;
+  } else {
+    const corpo = String(respondeu.res.data || '');
+    if (paginaEstacionada(corpo, urlFinal(respondeu))) {
+      classificacao = { situacao: 'estacionado', motivo: 'página de domínio estacionado ou à venda' };
+    } else {
+      const problemas = [];
+      if (respondeu !== principal) problemas.push(`GET falhou (${classificarFalha(principal, esperados).motivo}), mas ${respondeu.metodo} respondeu`);
+      if (respondeu === principal && principal.tentativas > 1) problemas.push(`respondeu só na tentativa ${principal.tentativas}`);
+      const faltando = (site.keywords || []).filter(texto => !corpo.toLowerCase().includes(texto.toLowerCase()));
+      if (faltando.length) problemas.push(`texto não encontrado: ${faltando.map(texto => `"${texto}"`).join(', ')}`);
+      classificacao = problemas.length
+        ? { situacao: 'degradado', motivo: problemas.join('; ') }
+        : { situacao: 'online', motivo: `status ${respondeu.status}` };
+    }
+  }
+
+  const online = classificacao.situacao === 'online' || classificacao.situacao === 'degradado';
+  return {
+    online,
+    content: online ? respondeu.res.data : null,
+    disponibilidade: {
+      ...classificacao,
+      status: (respondeu || principal).status,
+      urlFinal: respondeu ? urlFinal(respondeu) : null,
+      tentativas: principal.tentativas,
+      sondas: sondas.map(({ metodo, status, erro, tempo, ok }) => ({ metodo, ok, status, erro, tempo }))
+    }
+  };
+}
+
+function formatarDisponibilidade({ online, disponibilidade }) {
+  if (!disponibilidade) return online ? chalk.green("ONLINE") : chalk.red("OFFLINE");
+  const { situacao, motivo, sondas } = disponibilidade;
+  if (situacao === 'online') return `${chalk.green("ONLINE")} ${chalk.gray(`(${motivo})`)}`;
+  const titulo = situacao === 'degradado'
+    ? chalk.yellow(`DEGRADADO - ${motivo}`)
+    : chalk.red(`${situacao === 'offline' ? 'OFFLINE' : `OFFLINE: ${SITUACOES[situacao]}`} - ${motivo}`);
+  const linhas = sondas.map(sonda =>
+    `   ${sonda.ok ? chalk.green('OK') : chalk.red('Falha')} ${sonda.metodo}: ${descreverSonda(sonda)} ${chalk.gray(`(${sonda.tempo} ms)`)}`);
+  return `${titulo}\n${linhas.join('\n')}`;
+}
+
+module.exports = {
+  id: 'disponibilidade',
+  rotulo: 'Verificar disponibilidade',
+  descricao: 'Disponibilidade verificada',
+  ordem: 10,
+  timeout: tempoLimite,
+  esquema: { online: 'boolean', content: 'any', disponibilidade: 'object|null' },
+  internos: ['content'],
+  padrao: { online: false, content: null, disponibilidade: null },
+  executar: ({ url, site, opcoes }) => verificarSite(url, site, opcoes),
+  formatar: formatarDisponibilidade
+};
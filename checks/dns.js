@@ -0,0 +1,23 @@
+/**
+ * Passo 5: Verificar a resolução DNS do domínio.
+ */
+
+const dns = require('dns').promises;
+
+async function checkDNSResolution(domain) {
+  try {
+    const ips = await dns.resolve(domain);
+    return ips;
+  } catch (e) { return []; }
+}
+
+module.exports = {
+  id: 'dns',
+  rotulo: 'Resolução DNS',
+  descricao: 'DNS verificado',
+  ordem: 50,
+  esquema: { dnsIps: 'array' },
+  padrao: { dnsIps: [] },
+  executar: async ({ dominio }) => ({ dnsIps: await checkDNSResolution(dominio) }),
+  formatar: ({ dnsIps }) => (dnsIps.length ? dnsIps.join(', ') : "N/A")
+};
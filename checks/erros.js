@@ -0,0 +1,24 @@
+/**
+ * Passo 9: Analisar o conteúdo em busca de erros.
+ */
+
+const chalk = require('chalk').default;
+
+function checkErrorPatterns(content, errorKeywords) {
+  let text = (typeof content === 'string') ? content.toLowerCase() : (Buffer.isBuffer(content) ? content.toString('utf8').toLowerCase() : "");
+  return errorKeywords.filter(word => text.includes(word));
+}
+
+module.exports = {
+  id: 'erros',
+  rotulo: 'Erros no conteúdo',
+  descricao: 'Erros verificados',
+  ordem: 90,
+  dependencias: ['disponibilidade'],
+  esquema: { erros: 'array' },
+  padrao: { erros: [] },
+  executar: ({ dados, opcoes }) => ({
+    erros: checkErrorPatterns(dados.content, opcoes.errorKeywords.map(word => word.toLowerCase()))
+  }),
+  formatar: ({ erros }) => (erros.length ? chalk.red(erros.join(', ')) : chalk.green("Nenhum"))
+};
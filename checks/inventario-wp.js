@@ -0,0 +1,158 @@
+/**
+ * Passo 13 (complemento): Inventário do WordPress (versão, tema e plugins).
+ *
+ * Só roda em sites onde o passo 13 detectou WordPress. As fontes de cada informação:
+ *  - versão do core: meta generator, generator do feed, readme.html e ?ver= dos arquivos de wp-includes
+ *  - tema ativo: caminhos wp-content/themes/<slug>/ e o cabeçalho do style.css (Theme Name,
+ *    Version e Template, que indica o tema pai de um tema filho)
+ *  - plugins: caminhos wp-content/plugins/<slug>/, com a versão do "Stable tag" do readme.txt
+ *    ou, na falta dele, do ?ver= dos arquivos do plugin
+ */
+
+const cheerio = require('cheerio');
+const chalk = require('chalk').default;
+const { http, opcoesRequisicao } = require('../lib/http');
+
+// Limite de plugins consultados (um readme.txt por plugin)
+const MAXIMO_PLUGINS = 40;
+
+const VERSAO = /\d+(\.\d+)+/;
+
+async function buscarTexto(url, site) {
+  try {
+    const res = await http.get(url, opcoesRequisicao(site, { responseType: 'text' }));
+    return typeof res.data === 'string' ? res.data : String(res.data);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Valor mais frequente de uma lista (ou null se vazia)
+function maisFrequente(valores) {
+  const contagem = new Map();
+  for (const valor of valores) contagem.set(valor, (contagem.get(valor) || 0) + 1);
+  let melhor = null;
+  for (const [valor, total] of contagem) if (!melhor || total > contagem.get(melhor)) melhor = valor;
+  return melhor;
+}
+
+/**
+ * Lê as URLs de recursos da página (link, script, img) e agrupa por origem:
+ * { raiz, core: [ver...], temas: { slug: { base, versoes } }, plugins: { slug: { base, versoes } } }
+ */
+function mapearRecursos(content, url) {
+  const $ = cheerio.load(content);
+  const recursos = { raiz: null, core: [], temas: {}, plugins: {} };
+  const enderecos = [];
+  $('link[href], script[src], img[src]').each((i, el) => enderecos.push($(el).attr('href') || $(el).attr('src')));
+  for (const endereco of enderecos) {
+    let absoluto;
+    try { absoluto = new URL(endereco, url); } catch (e) { continue; }
+    const ver = absoluto.searchParams.get('ver');
+    const conteudo = absoluto.pathname.match(/^(.*?)\/wp-content\/(plugins|themes)\/([^/]+)\//);
+    const includes = absoluto.pathname.match(/^(.*?)\/wp-includes\//);
+    if (conteudo) {
+      const [base, raiz, tipo, slug] = conteudo;
+      const grupo = tipo === 'plugins' ? recursos.plugins : recursos.temas;
+      if (!grupo[slug]) grupo[slug] = { base: absoluto.origin + base, versoes: [] };
+      if (ver) grupo[slug].versoes.push(ver);
+      recursos.raiz = recursos.raiz || absoluto.origin + raiz;
+    } else if (includes) {
+      if (ver && VERSAO.test(ver)) recursos.core.push(ver);
+      recursos.raiz = recursos.raiz || absoluto.origin + includes[1];
+    }
+  }
+  return recursos;
+}
+
+// Versão do core por fonte; a final é a da fonte mais confiável disponível
+async function detectarVersaoCore(content, url, recursos, site) {
+  const $ = cheerio.load(content);
+  const raiz = recursos.raiz || new URL(url).origin;
+  const fontes = {};
+
+  const generator = ($('meta[name="generator"]').attr('content') || '').match(/wordpress\s+(\d+(\.\d+)+)/i);
+  if (generator) fontes.generator = generator[1];
+
+  const enderecoFeed = $('link[rel="alternate"][type="application/rss+xml"]').first().attr('href');
+  const feed = await buscarTexto(enderecoFeed ? new URL(enderecoFeed, url).href : `${raiz}/feed/`, site);
+  const feedGenerator = feed && feed.match(/<generator>[^<]*wordpress\.org\/\?v=(\d+(\.\d+)+)/i);
+  if (feedGenerator) fontes.feed = feedGenerator[1];
+
+  const readme = await buscarTexto(`${raiz}/readme.html`, site);
+  const readmeVersao = readme && readme.match(/Vers(?:ion|ão)\s+(\d+(\.\d+)+)/i);
+  if (readmeVersao) fontes.readme = readmeVersao[1];
+
+  const assets = maisFrequente(recursos.core);
+  if (assets) fontes.assets = assets;
+
+  const versao = fontes.generator || fontes.feed || fontes.readme || fontes.assets || null;
+  return { versao, fontes };
+}
+
+// Cabeçalho do style.css de um tema: "Theme Name: ...", "Version: ...", "Template: ..."
+function lerCabecalhoTema(css) {
+  const campo = nome => {
+    const achado = css && css.match(new RegExp(`^[ \\t/*#@]*${nome}:(.*)$`, 'mi'));
+    return achado ? achado[1].trim() : null;
+  };
+  return { nome: campo('Theme Name'), versao: campo('Version'), pai: campo('Template') };
+}
+
+// Tema ativo: com tema filho carregado, é o que declara "Template" (o pai vem junto na página)
+async function detectarTema(recursos, site) {
+  const temas = await Promise.all(Object.entries(recursos.temas).map(async ([slug, { base, versoes }]) => {
+    const cabecalho = lerCabecalhoTema(await buscarTexto(`${base}style.css`, site));
+    return { slug, nome: cabecalho.nome, versao: cabecalho.versao || maisFrequente(versoes), pai: cabecalho.pai };
+  }));
+  if (!temas.length) return null;
+  return temas.find(tema => tema.pai) || temas[0];
+}
+
+async function detectarPlugins(recursos, site) {
+  const plugins = Object.entries(recursos.plugins).slice(0, MAXIMO_PLUGINS);
+  return Promise.all(plugins.map(async ([slug, { base, versoes }]) => {
+    const readme = await buscarTexto(`${base}readme.txt`, site);
+    const stableTag = readme && readme.match(/^\s*Stable tag:\s*(\S+)/mi);
+    if (stableTag && VERSAO.test(stableTag[1])) return { slug, versao: stableTag[1], fonte: 'readme.txt' };
+    const ver = maisFrequente(versoes);
+    return { slug, versao: ver, fonte: ver ? 'ver' : null };
+  }));
+}
+
+function formatarInventario({ wpInventario }) {
+  if (!wpInventario) return chalk.gray("WordPress não detectado");
+  const { core, tema, plugins } = wpInventario;
+  const fontes = Object.keys(core.fontes).join(', ');
+  const linhas = [
+    `Core: ${core.versao ? chalk.cyan(core.versao) : chalk.hex('#FFA500')("versão não identificada")}${fontes ? chalk.gray(` (${fontes})`) : ''}`,
+    `Tema: ${tema ? `${tema.nome || tema.slug} (${tema.slug})${tema.versao ? ` ${chalk.cyan(tema.versao)}` : ''}${tema.pai ? chalk.gray(` - filho de ${tema.pai}`) : ''}` : chalk.gray("não identificado")}`,
+    `Plugins (${plugins.length}):`,
+    ...plugins.map(plugin => `   ${plugin.slug} ${plugin.versao ? chalk.cyan(plugin.versao) : chalk.gray("versão desconhecida")}`)
+  ];
+  return `\n${linhas.join('\n')}`;
+}
+
+module.exports = {
+  id: 'inventario-wp',
+  rotulo: 'Inventário WordPress',
+  descricao: 'Inventário WordPress levantado',
+  ordem: 135,
+  dependencias: ['disponibilidade', 'wordpress'],
+  timeout: 120000,
+  intervalo: 24 * 60 * 60 * 1000,
+  esquema: { wpInventario: 'object|null' },
+  padrao: { wpInventario: null },
+  async executar({ url, site, dados }) {
+    const { wp_content, wp_includes, meta_generator } = dados.wpFeatures;
+    if (typeof dados.content !== 'string' || !(wp_content || wp_includes || meta_generator)) return { wpInventario: null };
+    const recursos = mapearRecursos(dados.content, url);
+    const [core, tema, plugins] = await Promise.all([
+      detectarVersaoCore(dados.content, url, recursos, site),
+      detectarTema(recursos, site),
+      detectarPlugins(recursos, site)
+    ]);
+    return { wpInventario: { core, tema, plugins } };
+  },
+  formatar: formatarInventario
+};
@@ -0,0 +1,153 @@
+/**
+ * Passo 14 (complemento): Links e recursos quebrados (opcional, ative com --enable-checks links).
+ *
+ * A página inicial é analisada com o cheerio e cada link interno, imagem, script e folha de estilo
+ * é verificado: status 4xx/5xx, erro de conexão, loop ou excesso de redirecionamentos e conteúdo
+ * misto (imagem, script ou CSS por http numa página https). Os links internos são seguidos até
+ * --crawl-depth níveis (padrão 0: só a página inicial) e, com --crawl-sitemap, as páginas do
+ * sitemap (os do robots.txt ou /sitemap.xml e /wp-sitemap.xml) também são analisadas; no total, no máximo --crawl-max-pages páginas.
+ * Cada recurso é verificado uma única vez, mesmo que apareça em várias páginas.
+ */
+
+const cheerio = require('cheerio');
+const chalk = require('chalk').default;
+const { http, opcoesRequisicao, verificarUrl } = require('../lib/http');
+const { descobrirSitemaps } = require('../lib/sitemap');
+
+// [seletor, atributo, tipo]
+const RECURSOS = [
+  ['a[href]', 'href', 'link'],
+  ['img[src]', 'src', 'imagem'],
+  ['script[src]', 'src', 'script'],
+  ['link[rel~="stylesheet"][href]', 'href', 'css']
+];
+
+// Extensões de links que não são páginas (verificados, mas não analisados)
+const NAO_PAGINA = /\.(jpe?g|png|gif|webp|svg|ico|pdf|zip|rar|gz|mp[34]|avi|mov|docx?|xlsx?|pptx?|css|js|xml|txt|json)$/i;
+
+// URL absoluta, sem âncora; null para o que não é http(s) (mailto:, tel:, javascript:, data:...)
+function resolverUrl(endereco, base) {
+  try {
+    const url = new URL(endereco.trim(), base);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    return url.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Recursos de uma página: links internos e imagens, scripts e CSS de qualquer origem
+function extrairRecursos(html, pagina) {
+  const $ = cheerio.load(html);
+  const host = new URL(pagina).host;
+  const recursos = new Map();
+  for (const [seletor, atributo, tipo] of RECURSOS) {
+    $(seletor).each((i, elemento) => {
+      const url = resolverUrl($(elemento).attr(atributo), pagina);
+      if (!url || url === pagina || (tipo === 'link' && new URL(url).host !== host)) return;
+      if (!recursos.has(url)) recursos.set(url, tipo);
+    });
+  }
+  return [...recursos].map(([url, tipo]) => ({ url, tipo }));
+}
+
+async function baixarPagina(url, site) {
+  try {
+    const res = await http.get(url, opcoesRequisicao(site, { responseType: 'text', validateStatus: () => true }));
+    const html = /html/i.test(String(res.headers['content-type'] || '')) && typeof res.data === 'string';
+    return res.status < 400 && html ? res.data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Páginas do mesmo host listadas nos sitemaps do site (veja lib/sitemap.js)
+async function paginasDoSitemap(url, site, robotsDetalhes, limite) {
+  const host = new URL(url).host;
+  const { entradas } = await descobrirSitemaps(url, site, robotsDetalhes ? robotsDetalhes.sitemaps : []);
+  return entradas
+    .map(({ loc }) => resolverUrl(loc, url))
+    .filter(pagina => pagina && new URL(pagina).host === host)
+    .slice(0, limite);
+}
+
+/**
+ * Analisa as páginas e devolve { paginas, recursos, quebrados: [{ pagina, recurso, tipo, problema }] },
+ * com o total de páginas analisadas e de recursos verificados.
+ */
+async function rastrear(url, site, dados, opcoes) {
+  const https = pagina => pagina.startsWith('https:');
+  const fila = [{ url: resolverUrl(url, url), profundidade: 0, html: typeof dados.content === 'string' ? dados.content : null }];
+  if (opcoes.crawlSitemap) {
+    const doSitemap = await paginasDoSitemap(url, site, dados.robotsDetalhes, opcoes.crawlMaxPages);
+    fila.push(...doSitemap.map(pagina => ({ url: pagina, profundidade: 1 })));
+  }
+  const visitadas = new Set();
+  let paginas = 0;
+  const verificacoes = new Map(); // url do recurso -> Promise<problema | null>
+  const quebrados = [];
+
+  while (fila.length && visitadas.size < opcoes.crawlMaxPages) {
+    const { url: pagina, profundidade, html: conhecido } = fila.shift();
+    if (visitadas.has(pagina)) continue;
+    visitadas.add(pagina);
+    const html = conhecido || await baixarPagina(pagina, site);
+    if (!html) continue;
+    paginas++;
+
+    const recursos = extrairRecursos(html, pagina);
+    await Promise.all(recursos.map(async ({ url: recurso, tipo }) => {
+      if (tipo !== 'link' && https(pagina) && !https(recurso)) {
+        quebrados.push({ pagina, recurso, tipo, problema: 'conteúdo misto (http em página https)' });
+      }
+      if (!verificacoes.has(recurso)) verificacoes.set(recurso, verificarUrl(recurso, site));
+      const problema = await verificacoes.get(recurso);
+      if (problema) quebrados.push({ pagina, recurso, tipo, problema });
+    }));
+
+    // Links quebrados já foram reportados e não são seguidos
+    if (profundidade < opcoes.crawlDepth) {
+      for (const { url: link, tipo } of recursos) {
+        if (tipo === 'link' && !NAO_PAGINA.test(new URL(link).pathname) && !visitadas.has(link) && !await verificacoes.get(link)) {
+          fila.push({ url: link, profundidade: profundidade + 1 });
+        }
+      }
+    }
+  }
+  return { paginas, recursos: verificacoes.size, quebrados };
+}
+
+function formatarLinks({ rastreamento }) {
+  if (!rastreamento) return chalk.gray("N/A");
+  const resumo = `${rastreamento.paginas} página(s), ${rastreamento.recursos} recurso(s) verificados`;
+  if (!rastreamento.quebrados.length) return `${chalk.green("Nenhum problema")} (${resumo})`;
+  const porPagina = new Map();
+  for (const quebrado of rastreamento.quebrados) {
+    if (!porPagina.has(quebrado.pagina)) porPagina.set(quebrado.pagina, []);
+    porPagina.get(quebrado.pagina).push(quebrado);
+  }
+  const linhas = [...porPagina].flatMap(([pagina, itens]) => [
+    `   ${chalk.white(pagina)}`,
+    ...itens.map(item => `     ${chalk.red(item.problema)} ${chalk.gray(item.tipo)} ${item.recurso}`)
+  ]);
+  return `${chalk.red(`${rastreamento.quebrados.length} problema(s)`)} (${resumo})\n${linhas.join('\n')}`;
+}
+
+module.exports = {
+  id: 'links',
+  rotulo: 'Links e Recursos Quebrados',
+  descricao: 'Links e recursos verificados',
+  ordem: 147,
+  dependencias: ['disponibilidade'],
+  dependenciasOpcionais: ['robots'],
+  ativo: false,
+  timeout: 10 * 60 * 1000,
+  intervalo: 24 * 60 * 60 * 1000,
+  esquema: { rastreamento: 'object|null' },
+  padrao: { rastreamento: null },
+  executar: async ({ url, site, dados, opcoes }) => ({
+    rastreamento: dados.online ? await rastrear(url, site, dados, opcoes) : null
+  }),
+  formatar: formatarLinks
+};
@@ -0,0 +1,25 @@
+/**
+ * Passo 12: Verificar a presença de meta refresh.
+ */
+
+const cheerio = require('cheerio');
+const chalk = require('chalk').default;
+
+function checkMetaRefresh(content) {
+  try {
+    const $ = cheerio.load(content);
+    return $('meta[http-equiv="refresh"]').length > 0;
+  } catch (e) { return false; }
+}
+
+module.exports = {
+  id: 'meta-refresh',
+  rotulo: 'Meta Refresh',
+  descricao: 'Meta Refresh verificado',
+  ordem: 120,
+  dependencias: ['disponibilidade'],
+  esquema: { metaRefresh: 'boolean' },
+  padrao: { metaRefresh: false },
+  executar: ({ dados }) => ({ metaRefresh: checkMetaRefresh(dados.content) }),
+  formatar: ({ metaRefresh }) => (metaRefresh ? chalk.red("Detectado") : chalk.green("Não detectado"))
+};
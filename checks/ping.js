@@ -0,0 +1,26 @@
+/**
+ * Passo 6: Executar teste de ping.
+ */
+
+const { exec } = require('child_process');
+const chalk = require('chalk').default;
+
+function pingHost(domain) {
+  return new Promise((resolve) => {
+    const param = process.platform === 'win32' ? '-n' : '-c';
+    exec(`ping ${param} 1 ${domain}`, (error) => {
+      resolve(!error);
+    });
+  });
+}
+
+module.exports = {
+  id: 'ping',
+  rotulo: 'Teste de Ping',
+  descricao: 'Ping realizado',
+  ordem: 60,
+  esquema: { pingSuccess: 'boolean' },
+  padrao: { pingSuccess: false },
+  executar: async ({ dominio }) => ({ pingSuccess: await pingHost(dominio) }),
+  formatar: ({ pingSuccess }) => (pingSuccess ? chalk.green("Sucesso") : chalk.red("Falha"))
+};
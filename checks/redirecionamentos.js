@@ -0,0 +1,35 @@
+/**
+ * Passo 3: Verificar redirecionamentos.
+ */
+
+const { http, opcoesRequisicao } = require('../lib/http');
+
+async function checkRedirectionChain(url, site) {
+  let chain = [];
+  let currentUrl = url;
+  for (let i = 0; i < 10; i++) {
+    try {
+      const response = await http.head(currentUrl, opcoesRequisicao(site, {
+        maxRedirects: 0,
+        validateStatus: status => status >= 300 && status < 400
+      }));
+      const location = response.headers.location;
+      if (location) {
+        chain.push(location);
+        currentUrl = new URL(location, currentUrl).href;
+      } else break;
+    } catch (e) { break; }
+  }
+  return chain;
+}
+
+module.exports = {
+  id: 'redirecionamentos',
+  rotulo: 'Redirecionamentos',
+  descricao: 'Redirecionamentos verificados',
+  ordem: 30,
+  esquema: { redirChain: 'array' },
+  padrao: { redirChain: [] },
+  executar: async ({ url, site }) => ({ redirChain: await checkRedirectionChain(url, site) }),
+  formatar: ({ redirChain }) => `${redirChain.length} (${redirChain.join(' -> ') || 'Nenhum'})`
+};
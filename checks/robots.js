@@ -0,0 +1,92 @@
+/**
+ * Passo 10: Verificar a existência de robots.txt e interpretá-lo.
+ *
+ * O arquivo só conta como encontrado se vier com status 200 e não for uma página HTML. As regras
+ * são separadas por grupo de User-agent (linhas User-agent seguidas formam um grupo só), as
+ * diretivas Sitemap são guardadas para o passo 11 e um "Disallow: /" no grupo "*" (site inteiro
+ * bloqueado para os buscadores, comum em sites recém-saídos de homologação) é destacado.
+ */
+
+const chalk = require('chalk').default;
+const { http, opcoesRequisicao } = require('../lib/http');
+
+/**
+ * Interpreta o conteúdo do robots.txt: { grupos: [{ userAgents, disallow, allow }], sitemaps,
+ * bloqueiaTudo, problemas } (problemas: linhas que não são diretivas ou regras fora de um grupo).
+ */
+function analisarRobots(conteudo, base) {
+  const grupos = [];
+  const sitemaps = [];
+  const problemas = [];
+  let grupo = null;
+  let lendoAgentes = false;
+  conteudo.split(/\r?\n/).forEach((bruta, indice) => {
+    const linha = bruta.replace(/#.*/, '').trim();
+    if (!linha) return;
+    const separador = linha.indexOf(':');
+    if (separador === -1) {
+      problemas.push(`linha ${indice + 1} não é uma diretiva: ${linha.slice(0, 60)}`);
+      return;
+    }
+    const campo = linha.slice(0, separador).trim().toLowerCase();
+    const valor = linha.slice(separador + 1).trim();
+    if (campo === 'user-agent') {
+      if (!lendoAgentes) grupos.push(grupo = { userAgents: [], disallow: [], allow: [] });
+      grupo.userAgents.push(valor);
+      lendoAgentes = true;
+      return;
+    }
+    lendoAgentes = false;
+    if (campo === 'sitemap') {
+      try {
+        sitemaps.push(new URL(valor, base).href);
+      } catch (e) {
+        problemas.push(`linha ${indice + 1}: Sitemap inválido (${valor})`);
+      }
+    } else if (campo === 'disallow' || campo === 'allow') {
+      // "Disallow:" vazio libera tudo e não entra na lista
+      if (!grupo) problemas.push(`linha ${indice + 1}: ${campo} fora de um grupo User-agent`);
+      else if (valor) grupo[campo].push(valor);
+    }
+  });
+  const todos = grupos.find(g => g.userAgents.includes('*'));
+  const bloqueiaTudo = Boolean(todos && todos.disallow.includes('/') && !todos.allow.includes('/'));
+  return { grupos, sitemaps, bloqueiaTudo, problemas };
+}
+
+async function checkRobotsTxt(url, site) {
+  const endereco = new URL('/robots.txt', url).href;
+  try {
+    const res = await http.get(endereco, opcoesRequisicao(site, { responseType: 'text', validateStatus: () => true }));
+    const conteudo = typeof res.data === 'string' ? res.data : '';
+    const html = /text\/html/i.test(String(res.headers['content-type'] || '')) || /^\s*</.test(conteudo);
+    if (res.status !== 200 || html) return { robots: false, robotsDetalhes: null };
+    return { robots: true, robotsDetalhes: analisarRobots(conteudo, endereco) };
+  } catch (e) {
+    return { robots: false, robotsDetalhes: null };
+  }
+}
+
+function formatarRobots({ robots, robotsDetalhes }) {
+  if (!robots) return chalk.hex('#FFA500')("Não encontrado");
+  const { grupos, sitemaps, bloqueiaTudo, problemas } = robotsDetalhes;
+  const linhas = [
+    ...(bloqueiaTudo ? [`   ${chalk.red.bold('BLOQUEIA TODO O SITE')} (User-agent: * com Disallow: /)`] : []),
+    ...grupos.map(g => `   ${chalk.gray(`User-agent: ${g.userAgents.join(', ')}`)} - ${g.disallow.length} Disallow, ${g.allow.length} Allow`),
+    ...sitemaps.map(sitemap => `   ${chalk.gray('Sitemap:')} ${sitemap}`),
+    ...problemas.map(problema => `   ${chalk.yellow(problema)}`)
+  ];
+  return `${chalk.green("Encontrado")}${linhas.length ? `\n${linhas.join('\n')}` : ''}`;
+}
+
+module.exports = {
+  id: 'robots',
+  rotulo: 'robots.txt',
+  descricao: 'robots.txt verificado',
+  ordem: 100,
+  intervalo: 24 * 60 * 60 * 1000,
+  esquema: { robots: 'boolean', robotsDetalhes: 'object|null' },
+  padrao: { robots: false, robotsDetalhes: null },
+  executar: ({ url, site }) => checkRobotsTxt(url, site),
+  formatar: formatarRobots
+};
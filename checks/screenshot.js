@@ -0,0 +1,174 @@
+/**
+ * Passo 16: Capturar screenshot da página inicial (usando Puppeteer) e compará-lo com o anterior.
+ *
+ * Cada execução grava um novo arquivo em dominios/<domínio>/print/ (homepage-<data e hora>.png,
+ * ou <caminho>-<data e hora>.png para URLs fora da raiz). O screenshot anterior da mesma URL é
+ * a referência: a comparação pixel a pixel gera uma imagem de diferenças (-diff.png) e o
+ * percentual de pixels diferentes; acima de --visual-threshold o site é marcado como visualmente
+ * alterado. Se o anterior não puder ser lido (arquivo truncado, por exemplo), o screenshot novo e as
+ * métricas são mantidos e só a comparação é pulada, com o motivo em erroComparacao. Com
+ * --open-screenshot a imagem é aberta no visualizador do sistema.
+ *
+ * Na mesma visita são coletadas as métricas de desempenho da página (veja lib/metricas.js), com
+ * emulação de celular (--mobile) e limitação de rede (--throttling) opcionais, e capturados os
+ * screenshots extras de --extra-screenshots: página inteira (-fullpage.png) e a página
+ * redimensionada para celular (-mobile.png) ou desktop (-desktop.png). As visitas usam o navegador
+ * compartilhado (veja lib/navegador.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk').default;
+const puppeteer = require('puppeteer');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const { criarPastas, prefixoDaUrl, carimboDeTempo, abrirArquivo } = require('../lib/pastas');
+const { sleep } = require('../lib/http');
+const { comPagina } = require('../lib/navegador');
+const { REDES, APARELHO_MOVEL, CPU_MOVEL, prepararColeta } = require('../lib/metricas');
+
+// Screenshot mais recente da URL (os nomes têm data e hora, então a ordem alfabética basta)
+function screenshotAnterior(printFolder, prefixo) {
+  const padrao = new RegExp(`^${prefixo}-\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}\\.png$`);
+  const arquivos = fs.readdirSync(printFolder).filter(arquivo => padrao.test(arquivo)).sort();
+  return arquivos.length ? path.join(printFolder, arquivos[arquivos.length - 1]) : null;
+}
+
+/**
+ * Compara dois PNGs e grava a imagem de diferenças. Devolve o percentual de pixels diferentes
+ * (100 se as dimensões não batem, caso em que a imagem de diferenças não é gerada).
+ */
+function compararScreenshots(arquivoAnterior, arquivoAtual, arquivoDiff) {
+  const anterior = PNG.sync.read(fs.readFileSync(arquivoAnterior));
+  const atual = PNG.sync.read(fs.readFileSync(arquivoAtual));
+  if (anterior.width !== atual.width || anterior.height !== atual.height) {
+    return { percentual: 100, diffFile: null };
+  }
+  const { width, height } = atual;
+  const diff = new PNG({ width, height });
+  const diferentes = pixelmatch(anterior.data, atual.data, diff.data, width, height, { threshold: 0.1 });
+  fs.writeFileSync(arquivoDiff, PNG.sync.write(diff));
+  return { percentual: (diferentes / (width * height)) * 100, diffFile: arquivoDiff };
+}
+
+// Ajusta a página já carregada para o formato do screenshot extra e dá tempo para o layout se refazer
+async function ajustarPara(page, formato, viewport) {
+  if (formato === 'mobile') await page.emulate(puppeteer.KnownDevices[APARELHO_MOVEL]);
+  else await page.setViewport(viewport);
+  await sleep(500);
+}
+
+/**
+ * Visita a página, captura o screenshot principal e os extras (arquivoBase-<formato>.png) e devolve
+ * { webVitals, extras: { formato: arquivo } }, ou null se a página não carregou.
+ */
+async function takeScreenshot(url, outputFile, site, opcoes) {
+  try {
+    return await comPagina(async page => {
+      if (opcoes.mobile) {
+        await page.emulate(puppeteer.KnownDevices[APARELHO_MOVEL]);
+        await page.emulateCPUThrottling(CPU_MOVEL);
+      } else {
+        await page.setViewport(opcoes.viewport);
+      }
+      if (opcoes.throttling) await page.emulateNetworkConditions(puppeteer.PredefinedNetworkConditions[REDES[opcoes.throttling]]);
+      if (site.auth) await page.authenticate(site.auth);
+      if (Object.keys(site.headers).length) await page.setExtraHTTPHeaders(site.headers);
+      const coletar = await prepararColeta(page);
+      // Com a rede limitada o carregamento pode levar bem mais tempo
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: opcoes.throttling ? 90000 : 20000 });
+      const metricas = await coletar();
+      await page.screenshot({ path: outputFile });
+
+      const arquivoExtra = formato => outputFile.replace(/\.png$/, `-${formato}.png`);
+      const extras = {};
+      if (opcoes.extraScreenshots.includes('fullpage')) {
+        extras.fullpage = arquivoExtra('fullpage');
+        await page.screenshot({ path: extras.fullpage, fullPage: true });
+      }
+      // O formato da visita já é o screenshot principal; só o outro vira extra
+      const outroFormato = opcoes.mobile ? 'desktop' : 'mobile';
+      if (opcoes.extraScreenshots.includes(outroFormato)) {
+        await ajustarPara(page, outroFormato, opcoes.viewport);
+        extras[outroFormato] = arquivoExtra(outroFormato);
+        await page.screenshot({ path: extras[outroFormato] });
+      }
+      return {
+        webVitals: { ...metricas, emulacao: opcoes.mobile ? APARELHO_MOVEL : 'desktop', rede: opcoes.throttling },
+        extras
+      };
+    }, site.sinal);
+  } catch (e) {
+    return null;
+  }
+}
+
+const SEM_SCREENSHOT = {
+  screenshotFile: null,
+  screenshotsExtras: {},
+  diffFile: null,
+  diferencaVisual: null,
+  erroComparacao: null,
+  visualmenteAlterado: false,
+  webVitals: null
+};
+
+module.exports = {
+  id: 'screenshot',
+  rotulo: 'Print (Screenshot)',
+  descricao: 'Screenshot capturado',
+  ordem: 160,
+  intervalo: 24 * 60 * 60 * 1000,
+  timeout: 120000,
+  esquema: {
+    screenshotFile: 'string|null',
+    screenshotsExtras: 'object',
+    diffFile: 'string|null',
+    diferencaVisual: 'number|null',
+    erroComparacao: 'string|null',
+    visualmenteAlterado: 'boolean',
+    webVitals: 'object|null'
+  },
+  padrao: SEM_SCREENSHOT,
+  async executar({ url, dominio, site, opcoes }) {
+    if (!site.screenshot) return SEM_SCREENSHOT;
+    const printFolder = path.join(criarPastas(dominio), "print");
+    if (!fs.existsSync(printFolder)) fs.mkdirSync(printFolder);
+    const prefixo = prefixoDaUrl(url);
+    const anterior = screenshotAnterior(printFolder, prefixo);
+    const carimbo = carimboDeTempo();
+    const screenshotFile = path.join(printFolder, `${prefixo}-${carimbo}.png`);
+    const visita = await takeScreenshot(url, screenshotFile, site, opcoes);
+    if (!visita) return SEM_SCREENSHOT;
+    const { webVitals, extras } = visita;
+    // No modo headless não há quem veja a imagem, então ela não é aberta
+    if (opcoes.openScreenshot && !opcoes.headless) abrirArquivo(screenshotFile);
+    if (!anterior) return { ...SEM_SCREENSHOT, screenshotFile, screenshotsExtras: extras, webVitals };
+    let comparacao;
+    try {
+      comparacao = compararScreenshots(anterior, screenshotFile, path.join(printFolder, `${prefixo}-${carimbo}-diff.png`));
+    } catch (e) {
+      return { ...SEM_SCREENSHOT, screenshotFile, screenshotsExtras: extras, webVitals, erroComparacao: `${path.basename(anterior)}: ${e.message}` };
+    }
+    const { percentual, diffFile } = comparacao;
+    return {
+      screenshotFile,
+      screenshotsExtras: extras,
+      diffFile,
+      diferencaVisual: Number(percentual.toFixed(2)),
+      erroComparacao: null,
+      visualmenteAlterado: percentual > opcoes.visualThreshold,
+      webVitals
+    };
+  },
+  formatar: ({ screenshotFile, screenshotsExtras, diffFile, diferencaVisual, erroComparacao, visualmenteAlterado }, { site, opcoes }) => {
+    if (!screenshotFile) return site.screenshot ? chalk.red("Erro no print") : chalk.gray("Desativado para este site");
+    const extras = Object.entries(screenshotsExtras).map(([formato, arquivo]) => `\n   ${chalk.gray(`${formato}:`)} ${arquivo}`).join('');
+    if (erroComparacao) return `${screenshotFile}${extras}\n   ${chalk.yellow(`Comparação com o screenshot anterior não feita (${erroComparacao})`)}`;
+    if (diferencaVisual === null) return `${screenshotFile}${extras}\n   ${chalk.gray("Primeiro screenshot (sem referência para comparar)")}`;
+    const diferenca = `Diferença visual: ${diferencaVisual}%${diffFile ? ` (${diffFile})` : ' (dimensões diferentes)'}`;
+    return `${screenshotFile}${extras}\n   ${visualmenteAlterado
+      ? chalk.red.bold(`VISUALMENTE ALTERADO - ${diferenca}, acima do limite de ${opcoes.visualThreshold}%`)
+      : chalk.green(diferenca)}`;
+  }
+};
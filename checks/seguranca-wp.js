@@ -0,0 +1,154 @@
+/**
+ * Passo 13 (complemento): Exposições de segurança comuns em sites WordPress.
+ *
+ * Em sites com WordPress detectado são testados: enumeração de usuários (/wp-json/wp/v2/users
+ * e ?author=1), xmlrpc.php com system.multicall, backups do wp-config.php, wp-content/debug.log,
+ * listagem do diretório wp-content/uploads/ e readme.html/license.txt acessíveis. Em qualquer
+ * site, mensagens de erro do PHP no conteúdo da página. Cada exposição encontrada tem uma severidade.
+ */
+
+const chalk = require('chalk').default;
+const { http, opcoesRequisicao } = require('../lib/http');
+const { rotuloSeveridade, porSeveridade } = require('../lib/severidades');
+
+const BACKUPS_WP_CONFIG = [
+  'wp-config.php.bak', 'wp-config.php.old', 'wp-config.php.save', 'wp-config.php.orig',
+  'wp-config.php~', 'wp-config.bak', '.wp-config.php.swp', 'wp-config.php.swp'
+];
+
+const ERRO_PHP = /(<b>\s*(Warning|Fatal error|Parse error|Notice|Deprecated)\s*<\/b>\s*:|PHP (Warning|Fatal error|Parse error|Notice|Deprecated):)[^\n]{0,200}/i;
+
+// GET sem seguir redirecionamentos e sem interpretar o corpo; erros de rede viram null
+async function buscar(url, site, extras = {}) {
+  try {
+    return await http.request({
+      url,
+      method: 'get',
+      ...opcoesRequisicao(site, { maxRedirects: 0, validateStatus: () => true, transformResponse: corpo => corpo, ...extras })
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+const corpo = res => (res && typeof res.data === 'string' ? res.data : '');
+
+async function enumeracaoPelaApi(base, site) {
+  const res = await buscar(`${base}/wp-json/wp/v2/users`, site);
+  if (!res || res.status !== 200) return null;
+  try {
+    const usuarios = JSON.parse(corpo(res));
+    if (!Array.isArray(usuarios) || !usuarios.length) return null;
+    return {
+      id: 'usuarios-api',
+      severidade: 'medium',
+      titulo: 'Usuários listados em /wp-json/wp/v2/users',
+      detalhe: usuarios.map(usuario => usuario.slug).filter(Boolean).join(', ')
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+async function enumeracaoPorAutor(base, site) {
+  const res = await buscar(`${base}/?author=1`, site);
+  if (!res) return null;
+  const destino = res.status >= 300 && res.status < 400 ? String(res.headers.location || '') : '';
+  // Sem redirecionamento, o WordPress marca o <body> da página do autor com a classe author-<slug>
+  const slug = (destino.match(/\/author\/([^/?#]+)/) || corpo(res).match(/<body[^>]*class="[^"]*?\bauthor-([a-z0-9_-]+)/i) || [])[1];
+  if (!slug || /^\d+$/.test(slug)) return null;
+  return { id: 'usuarios-autor', severidade: 'medium', titulo: 'Usuário revelado por ?author=1', detalhe: slug };
+}
+
+async function xmlrpc(base, site) {
+  const res = await buscar(`${base}/xmlrpc.php`, site, {
+    method: 'post',
+    data: '<?xml version="1.0"?><methodCall><methodName>system.listMethods</methodName><params></params></methodCall>',
+    headers: { 'Content-Type': 'text/xml' }
+  });
+  if (!res || res.status !== 200 || !corpo(res).includes('<methodResponse>')) return null;
+  return corpo(res).includes('system.multicall')
+    ? { id: 'xmlrpc-multicall', severidade: 'high', titulo: 'xmlrpc.php ativo com system.multicall', detalhe: 'permite ataques de força bruta em lote' }
+    : { id: 'xmlrpc', severidade: 'low', titulo: 'xmlrpc.php ativo', detalhe: '' };
+}
+
+async function backupsWpConfig(base, site) {
+  const expostos = [];
+  for (const arquivo of BACKUPS_WP_CONFIG) {
+    const res = await buscar(`${base}/${arquivo}`, site);
+    if (res && res.status === 200 && /DB_(NAME|PASSWORD)/.test(corpo(res))) expostos.push(arquivo);
+  }
+  return expostos.length
+    ? { id: 'wp-config-backup', severidade: 'critical', titulo: 'Backup do wp-config.php acessível', detalhe: expostos.join(', ') }
+    : null;
+}
+
+async function debugLog(base, site) {
+  const res = await buscar(`${base}/wp-content/debug.log`, site);
+  if (!res || res.status !== 200 || !/PHP (Warning|Notice|Fatal|Parse|Deprecated)|^\[\d{2}-\w{3}-\d{4}/m.test(corpo(res))) return null;
+  return { id: 'debug-log', severidade: 'high', titulo: 'wp-content/debug.log acessível', detalhe: `${corpo(res).length} bytes` };
+}
+
+async function listagemUploads(base, site) {
+  const res = await buscar(`${base}/wp-content/uploads/`, site);
+  if (!res || res.status !== 200 || !/<title>\s*Index of|<h1>\s*Index of/i.test(corpo(res))) return null;
+  return { id: 'listagem-uploads', severidade: 'medium', titulo: 'Listagem de diretório em wp-content/uploads/', detalhe: '' };
+}
+
+async function arquivosPadrao(base, site) {
+  const legiveis = [];
+  for (const arquivo of ['readme.html', 'license.txt']) {
+    const res = await buscar(`${base}/${arquivo}`, site);
+    if (res && res.status === 200 && /wordpress/i.test(corpo(res))) legiveis.push(arquivo);
+  }
+  return legiveis.length
+    ? { id: 'arquivos-padrao', severidade: 'low', titulo: 'Arquivos padrão do WordPress acessíveis', detalhe: legiveis.join(', ') }
+    : null;
+}
+
+function errosPhp(content) {
+  const achado = typeof content === 'string' && content.match(ERRO_PHP);
+  if (!achado) return null;
+  return {
+    id: 'erros-php',
+    severidade: 'medium',
+    titulo: 'Mensagem de erro do PHP no conteúdo',
+    detalhe: achado[0].replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim().slice(0, 120)
+  };
+}
+
+function formatarExposicoes({ exposicoes }) {
+  if (!exposicoes.length) return chalk.green("Nenhuma exposição encontrada");
+  return `\n${exposicoes.map(exposicao =>
+    `   ${rotuloSeveridade(exposicao.severidade)} ${exposicao.titulo}${exposicao.detalhe ? chalk.gray(` (${exposicao.detalhe})`) : ''}`
+  ).join('\n')}`;
+}
+
+module.exports = {
+  id: 'seguranca-wp',
+  rotulo: 'Segurança WordPress',
+  descricao: 'Exposições de segurança verificadas',
+  ordem: 138,
+  dependencias: ['disponibilidade', 'wordpress'],
+  timeout: 120000,
+  esquema: { exposicoes: 'array' },
+  padrao: { exposicoes: [] },
+  async executar({ url, site, dados }) {
+    const { wp_content, wp_includes, meta_generator } = dados.wpFeatures;
+    const encontradas = [errosPhp(dados.content)];
+    if (wp_content || wp_includes || meta_generator) {
+      const base = url.replace(/\/+$/, "");
+      encontradas.push(...await Promise.all([
+        enumeracaoPelaApi(base, site),
+        enumeracaoPorAutor(base, site),
+        xmlrpc(base, site),
+        backupsWpConfig(base, site),
+        debugLog(base, site),
+        listagemUploads(base, site),
+        arquivosPadrao(base, site)
+      ]));
+    }
+    return { exposicoes: encontradas.filter(Boolean).sort(porSeveridade) };
+  },
+  formatar: formatarExposicoes
+};
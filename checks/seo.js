@@ -0,0 +1,176 @@
+/**
+ * Passo 8 (complemento): Auditoria de SEO on-page da página inicial.
+ *
+ * Verifica o tamanho do título e da meta description, o link canonical, as diretivas de indexação
+ * (meta robots/googlebot e o cabeçalho X-Robots-Tag), a quantidade de H1, as tags Open Graph e
+ * Twitter Card, os links hreflang, o texto alternativo das imagens e os blocos JSON-LD.
+ * Um noindex é destacado à parte: é comum o site sair da homologação com a indexação bloqueada.
+ */
+
+const cheerio = require('cheerio');
+const chalk = require('chalk').default;
+
+// Tamanhos recomendados (em caracteres) para o que aparece no resultado de busca
+const TITULO = { minimo: 10, maximo: 60 };
+const DESCRICAO = { minimo: 50, maximo: 160 };
+
+const OPEN_GRAPH = ['og:title', 'og:description', 'og:image', 'og:url'];
+const TWITTER = ['twitter:card'];
+
+const IDIOMA = /^(x-default|[a-z]{2,3}(-[a-z0-9]{2,8})*)$/i;
+
+const DIRETIVAS = valor => String(valor || '').toLowerCase().split(/[\s,]+/);
+
+// Diretivas de indexação das metas robots/googlebot e do X-Robots-Tag ("googlebot: noindex" também vale)
+function analisarIndexacao($, headers) {
+  const meta = $('meta[name="robots" i], meta[name="googlebot" i]').map((i, el) => $(el).attr('content')).get().join(', ') || null;
+  const cabecalho = headers['x-robots-tag'] ? [].concat(headers['x-robots-tag']).join(', ') : null;
+  const diretivas = [...DIRETIVAS(meta), ...DIRETIVAS(cabecalho).map(d => d.replace(/^[^:]*:/, ''))];
+  return {
+    noindex: diretivas.includes('noindex') || diretivas.includes('none'),
+    nofollow: diretivas.includes('nofollow') || diretivas.includes('none'),
+    meta,
+    cabecalho
+  };
+}
+
+// O canonical é comparado com a URL da página entregue (depois dos redirecionamentos), não com a
+// URL do arquivo de links: http://site.com redirecionando para https://www.site.com/ é o caso comum
+function analisarCanonical($, url) {
+  const links = $('link[rel="canonical" i]').map((i, el) => ($(el).attr('href') || '').trim()).get();
+  if (!links.length) return { url: null, problema: 'ausente' };
+  if (links.length > 1) return { url: links[0], problema: `${links.length} links canonical` };
+  const [href] = links;
+  if (!/^https?:\/\//i.test(href)) return { url: href, problema: 'URL relativa ou inválida' };
+  let canonical;
+  try {
+    canonical = new URL(href);
+  } catch (e) {
+    return { url: href, problema: 'URL inválida' };
+  }
+  const pagina = new URL(url);
+  if (canonical.protocol !== pagina.protocol) return { url: href, problema: `protocolo diferente da página (${canonical.protocol})` };
+  if (canonical.host !== pagina.host) return { url: href, problema: `aponta para outro domínio (${canonical.host})` };
+  const caminho = endereco => endereco.pathname.replace(/\/$/, '') + endereco.search;
+  if (caminho(canonical) !== caminho(pagina)) return { url: href, problema: 'aponta para outra página' };
+  return { url: href, problema: null };
+}
+
+function analisarHreflang($) {
+  return $('link[rel="alternate" i][hreflang]').map((i, el) => {
+    const idioma = $(el).attr('hreflang').trim();
+    const href = ($(el).attr('href') || '').trim();
+    const problema = !IDIOMA.test(idioma) ? 'código de idioma inválido'
+      : !/^https?:\/\//i.test(href) ? 'URL relativa ou ausente' : null;
+    return { idioma, url: href, problema };
+  }).get();
+}
+
+// Blocos <script type="application/ld+json">: tipos declarados (@type, inclusive dentro de @graph) e inválidos
+function analisarJsonLd($) {
+  const tipos = new Set();
+  let blocos = 0;
+  let invalidos = 0;
+  $('script[type="application/ld+json" i]').each((i, el) => {
+    blocos++;
+    let documento;
+    try {
+      documento = JSON.parse($(el).contents().text());
+    } catch (e) {
+      invalidos++;
+      return;
+    }
+    const itens = [].concat(documento).flatMap(item => (item && item['@graph'] ? [].concat(item['@graph']) : [item]));
+    if (!itens.length || itens.some(item => !item || typeof item !== 'object' || !item['@type'])) invalidos++;
+    itens.forEach(item => { if (item && item['@type']) [].concat(item['@type']).forEach(tipo => tipos.add(tipo)); });
+  });
+  return { blocos, tipos: [...tipos], invalidos };
+}
+
+function tamanhoForaDoIdeal(nome, texto, limites) {
+  if (!texto) return `${nome} ausente`;
+  if (texto.length < limites.minimo) return `${nome} curto (${texto.length} caracteres, mínimo ${limites.minimo})`;
+  if (texto.length > limites.maximo) return `${nome} longo (${texto.length} caracteres, máximo ${limites.maximo})`;
+  return null;
+}
+
+/**
+ * Audita o HTML da página. Devolve { titulo, descricao, canonical: { url, problema },
+ * indexacao: { noindex, nofollow, meta, cabecalho }, h1, openGraph, twitter (tags presentes),
+ * hreflang: [{ idioma, url, problema }], imagens: { total, semAlt }, jsonLd: { blocos, tipos, invalidos },
+ * problemas } com os problemas encontrados em texto (sem o noindex, que tem destaque próprio).
+ */
+function auditarSeo(content, url, headers) {
+  const $ = cheerio.load(content);
+  const titulo = $('title').first().text().trim() || null;
+  const descricao = ($('meta[name="description" i]').attr('content') || '').trim() || null;
+  const canonical = analisarCanonical($, url);
+  const indexacao = analisarIndexacao($, headers);
+  const h1 = $('h1').length;
+  const presentes = nomes => nomes.filter(nome => $(`meta[property="${nome}"], meta[name="${nome}"]`).length);
+  const openGraph = presentes(OPEN_GRAPH);
+  const twitter = presentes(TWITTER);
+  const hreflang = analisarHreflang($);
+  const imagens = { total: $('img').length, semAlt: $('img:not([alt])').length };
+  const jsonLd = analisarJsonLd($);
+
+  const problemas = [
+    tamanhoForaDoIdeal('título', titulo, TITULO),
+    tamanhoForaDoIdeal('meta description', descricao, DESCRICAO),
+    canonical.problema && `canonical: ${canonical.problema}`,
+    indexacao.nofollow && !indexacao.noindex && 'nofollow na página inicial',
+    h1 !== 1 && (h1 ? `${h1} tags H1 (o ideal é uma)` : 'sem H1'),
+    openGraph.length < OPEN_GRAPH.length && `Open Graph incompleto (faltando ${OPEN_GRAPH.filter(nome => !openGraph.includes(nome)).join(', ')})`,
+    !twitter.length && 'sem Twitter Card',
+    ...hreflang.filter(item => item.problema).map(item => `hreflang "${item.idioma}": ${item.problema}`),
+    imagens.semAlt && `${imagens.semAlt} de ${imagens.total} imagem(ns) sem atributo alt`,
+    jsonLd.invalidos && `${jsonLd.invalidos} bloco(s) JSON-LD inválido(s)`
+  ].filter(Boolean);
+
+  return {
+    titulo: titulo && { texto: titulo, tamanho: titulo.length },
+    descricao: descricao && { texto: descricao, tamanho: descricao.length },
+    canonical,
+    indexacao,
+    h1,
+    openGraph,
+    twitter,
+    hreflang,
+    imagens,
+    jsonLd,
+    problemas
+  };
+}
+
+function formatarSeo({ seo }) {
+  if (!seo) return chalk.gray("N/A");
+  const { indexacao, titulo, descricao, h1, imagens, jsonLd, hreflang, problemas } = seo;
+  const origem = [indexacao.meta && `meta robots: ${indexacao.meta}`, indexacao.cabecalho && `X-Robots-Tag: ${indexacao.cabecalho}`]
+    .filter(Boolean).join('; ');
+  const linhas = [
+    ...(indexacao.noindex ? [`   ${chalk.bgRed.white.bold(' NOINDEX ')} ${chalk.red.bold('a página está bloqueada para os buscadores')} (${origem})`] : []),
+    `   ${chalk.gray('Título:')} ${titulo ? `${titulo.tamanho} caracteres` : 'ausente'}, ${chalk.gray('description:')} ${descricao ? `${descricao.tamanho} caracteres` : 'ausente'}, ${chalk.gray('H1:')} ${h1}`,
+    `   ${chalk.gray('Imagens:')} ${imagens.total - imagens.semAlt}/${imagens.total} com alt, ${chalk.gray('JSON-LD:')} ${jsonLd.blocos ? jsonLd.tipos.join(', ') || `${jsonLd.blocos} bloco(s)` : 'nenhum'}, ${chalk.gray('hreflang:')} ${hreflang.length}`,
+    ...problemas.map(problema => `   ${chalk.yellow(problema)}`)
+  ];
+  const resumo = indexacao.noindex ? chalk.red.bold('NOINDEX')
+    : problemas.length ? chalk.yellow(`${problemas.length} problema(s)`) : chalk.green('Nenhum problema');
+  return `${resumo}\n${linhas.join('\n')}`;
+}
+
+module.exports = {
+  id: 'seo',
+  rotulo: 'SEO On-page',
+  descricao: 'SEO on-page auditado',
+  ordem: 85,
+  dependencias: ['disponibilidade'],
+  dependenciasOpcionais: ['tempo-resposta'],
+  esquema: { seo: 'object|null' },
+  padrao: { seo: null },
+  executar: ({ url, dados }) => ({
+    seo: typeof dados.content === 'string'
+      ? auditarSeo(dados.content, (dados.disponibilidade && dados.disponibilidade.urlFinal) || url, dados.response ? dados.response.headers || {} : {})
+      : null
+  }),
+  formatar: formatarSeo
+};
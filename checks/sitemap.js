@@ -0,0 +1,84 @@
+/**
+ * Passo 11: Verificar o sitemap.xml.
+ *
+ * Os sitemaps vêm das diretivas Sitemap do robots.txt (passo 10) ou, sem elas, de /sitemap.xml e
+ * /wp-sitemap.xml (veja lib/sitemap.js), com os índices seguidos e o XML validado. São informados
+ * o total de URLs, a data de modificação (lastmod) mais recente, que indica se o sitemap está
+ * sendo atualizado, e o status de uma amostra das URLs listadas.
+ */
+
+const chalk = require('chalk').default;
+const { verificarUrl } = require('../lib/http');
+const { descobrirSitemaps } = require('../lib/sitemap');
+
+const TAMANHO_AMOSTRA = 10;
+const DIAS_DESATUALIZADO = 180;
+const DIA = 24 * 60 * 60 * 1000;
+
+// URLs espalhadas pelo sitemap (não só as primeiras, que costumam ser as mais importantes)
+function escolherAmostra(entradas) {
+  if (entradas.length <= TAMANHO_AMOSTRA) return entradas;
+  const passo = entradas.length / TAMANHO_AMOSTRA;
+  return Array.from({ length: TAMANHO_AMOSTRA }, (valor, i) => entradas[Math.floor(i * passo)]);
+}
+
+async function checkSitemapXml(url, site, robotsDetalhes) {
+  const { arquivos, entradas } = await descobrirSitemaps(url, site, robotsDetalhes ? robotsDetalhes.sitemaps : []);
+  if (!arquivos.some(arquivo => !arquivo.erro)) {
+    return { sitemap: false, sitemapDetalhes: arquivos.length ? { arquivos, urls: 0, ultimaModificacao: null, diasDesdeModificacao: null, amostra: [] } : null };
+  }
+  const ultima = entradas.reduce((maior, { lastmod }) => {
+    const data = lastmod ? Date.parse(lastmod) : NaN;
+    return Number.isNaN(data) ? maior : Math.max(maior, data);
+  }, -Infinity);
+  const amostra = await Promise.all(escolherAmostra(entradas).map(async ({ loc }) => ({
+    url: loc,
+    problema: await verificarUrl(loc, site)
+  })));
+  return {
+    sitemap: true,
+    sitemapDetalhes: {
+      arquivos,
+      urls: entradas.length,
+      ultimaModificacao: Number.isFinite(ultima) ? new Date(ultima).toISOString() : null,
+      diasDesdeModificacao: Number.isFinite(ultima) ? Math.floor((Date.now() - ultima) / DIA) : null,
+      amostra
+    }
+  };
+}
+
+function formatarSitemap({ sitemap, sitemapDetalhes }) {
+  if (!sitemapDetalhes) return chalk.hex('#FFA500')("Não encontrado");
+  const erros = sitemapDetalhes.arquivos
+    .filter(arquivo => arquivo.erro)
+    .map(arquivo => `   ${chalk.red(arquivo.erro)} ${arquivo.url}`);
+  if (!sitemap) return `${chalk.hex('#FFA500')("Não encontrado")}\n${erros.join('\n')}`;
+
+  const { arquivos, urls, ultimaModificacao, diasDesdeModificacao, amostra } = sitemapDetalhes;
+  const atualizacao = ultimaModificacao === null
+    ? chalk.gray('sem lastmod')
+    : diasDesdeModificacao > DIAS_DESATUALIZADO
+      ? chalk.yellow(`última modificação em ${ultimaModificacao.slice(0, 10)} (há ${diasDesdeModificacao} dias)`)
+      : `última modificação em ${ultimaModificacao.slice(0, 10)}`;
+  const comProblema = amostra.filter(item => item.problema);
+  return [
+    `${chalk.green("Encontrado")} - ${urls} URL(s) em ${arquivos.length} arquivo(s), ${atualizacao}`,
+    ...erros,
+    `   Amostra: ${amostra.length} URL(s) verificada(s)${comProblema.length ? chalk.red(`, ${comProblema.length} com problema`) : chalk.green(', todas respondendo')}`,
+    ...comProblema.map(item => `   ${chalk.red(item.problema)} ${item.url}`)
+  ].join('\n');
+}
+
+module.exports = {
+  id: 'sitemap',
+  rotulo: 'sitemap.xml',
+  descricao: 'sitemap.xml verificado',
+  ordem: 110,
+  dependenciasOpcionais: ['robots'],
+  timeout: 120000,
+  intervalo: 24 * 60 * 60 * 1000,
+  esquema: { sitemap: 'boolean', sitemapDetalhes: 'object|null' },
+  padrao: { sitemap: false, sitemapDetalhes: null },
+  executar: ({ url, site, dados }) => checkSitemapXml(url, site, dados.robotsDetalhes),
+  formatar: formatarSitemap
+};
@@ -0,0 +1,148 @@
+/**
+ * Passo 4: Verificar certificado SSL (para URLs HTTPS).
+ *
+ * O certificado só é considerado válido se a cadeia é confiável, o hostname confere (SAN) e
+ * ele não expirou. Também são levantados o emissor, o algoritmo e o tamanho da chave, o
+ * protocolo e a cifra negociados, se o servidor ainda aceita TLS 1.0/1.1 e o cabeçalho HSTS.
+ */
+
+const tls = require('tls');
+const net = require('net');
+const https = require('https');
+const chalk = require('chalk').default;
+const { http, opcoesRequisicao } = require('../lib/http');
+
+const PROTOCOLOS_LEGADOS = ['TLSv1', 'TLSv1.1'];
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// SNI não admite endereços IP
+const servername = hostname => (net.isIP(hostname) ? undefined : hostname);
+
+// O certificado é analisado mesmo quando não é confiável, por isso a conexão não rejeita nada
+const agenteSemVerificacao = new https.Agent({ rejectUnauthorized: false });
+
+function algoritmoDaChave(cert) {
+  if (cert.modulus) return 'RSA';
+  if (cert.asn1Curve || cert.nistCurve) return `EC ${cert.nistCurve || cert.asn1Curve}`;
+  return 'desconhecido';
+}
+
+function checkSSLCertificate(hostname, port = 443, timeout = 10000) {
+  return new Promise((resolve) => {
+    const socket = tls.connect({ host: hostname, port, servername: servername(hostname), rejectUnauthorized: false, timeout }, () => {
+      const cert = socket.getPeerCertificate();
+      if (!cert || !cert.valid_to) {
+        socket.end();
+        return resolve(null);
+      }
+      const erroHostname = tls.checkServerIdentity(hostname, cert);
+      // authorizationError também acusa hostname divergente; a cadeia é avaliada à parte
+      const erroCadeia = socket.authorized || socket.authorizationError === 'ERR_TLS_CERT_ALTNAME_INVALID'
+        ? null : String(socket.authorizationError);
+      const info = {
+        expiry: cert.valid_to,
+        confiavel: !erroCadeia,
+        erroCadeia,
+        hostnameValido: !erroHostname,
+        diasParaExpirar: Math.floor((Date.parse(cert.valid_to) - Date.now()) / DIA_MS),
+        emissor: (cert.issuer && (cert.issuer.O || cert.issuer.CN)) || 'desconhecido',
+        algoritmo: algoritmoDaChave(cert),
+        bits: cert.bits || null,
+        protocolo: socket.getProtocol(),
+        cifra: (socket.getCipher() || {}).name || null
+      };
+      socket.end();
+      resolve(info);
+    });
+    socket.on('timeout', () => socket.destroy(new Error('timeout')));
+    socket.on('error', () => resolve(null));
+  });
+}
+
+// Testa se o servidor aceita um protocolo antigo (o OpenSSL atual só os oferece com SECLEVEL=0)
+function aceitaProtocolo(hostname, port, protocolo, timeout = 10000) {
+  return new Promise((resolve) => {
+    const socket = tls.connect({
+      host: hostname,
+      port,
+      servername: servername(hostname),
+      rejectUnauthorized: false,
+      minVersion: protocolo,
+      maxVersion: protocolo,
+      ciphers: 'DEFAULT@SECLEVEL=0',
+      timeout
+    }, () => {
+      socket.end();
+      resolve(true);
+    });
+    socket.on('timeout', () => socket.destroy(new Error('timeout')));
+    socket.on('error', () => resolve(false));
+  });
+}
+
+// Valor do cabeçalho Strict-Transport-Security da própria resposta HTTPS (sem seguir redirecionamentos)
+async function verificarHsts(url, site) {
+  try {
+    const response = await http.get(url, opcoesRequisicao(site, {
+      maxRedirects: 0,
+      validateStatus: () => true,
+      httpsAgent: agenteSemVerificacao
+    }));
+    return response.headers['strict-transport-security'] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+const SEM_SSL = { sslValid: false, sslExpiry: null, sslDetalhes: null };
+
+function formatarSsl({ sslValid, sslExpiry, sslDetalhes }, { url }) {
+  if (!url.toLowerCase().startsWith("https")) return chalk.gray("N/A");
+  if (!sslDetalhes) return chalk.red("Inválido/N/A");
+  const d = sslDetalhes;
+  const dias = d.diasParaExpirar < 0 ? chalk.red.bold(`expirado há ${-d.diasParaExpirar} dias`)
+               : d.diasParaExpirar <= 7 ? chalk.red.bold(`${d.diasParaExpirar} dias`)
+               : d.diasParaExpirar <= 30 ? chalk.yellow(`${d.diasParaExpirar} dias`)
+               : chalk.green(`${d.diasParaExpirar} dias`);
+  const linhas = [
+    `${sslValid ? chalk.green("Válido") : chalk.red.bold("Inválido")} (expira: ${sslExpiry}, ${dias})`,
+    `   Emissor: ${d.emissor} | Chave: ${d.algoritmo}${d.bits ? ` ${d.bits} bits` : ''} | ${d.protocolo} ${d.cifra}`,
+    `   HSTS: ${d.hsts ? chalk.green(d.hsts) : chalk.yellow("Ausente")}`
+  ];
+  if (!d.confiavel) linhas.push(chalk.red(`   Cadeia não confiável (${d.erroCadeia})`));
+  if (!d.hostnameValido) linhas.push(chalk.red("   O certificado não cobre este hostname"));
+  if (d.tlsLegado.length) linhas.push(chalk.yellow(`   Aceita protocolos obsoletos: ${d.tlsLegado.join(', ')}`));
+  return linhas.join('\n');
+}
+
+module.exports = {
+  id: 'ssl',
+  rotulo: 'Certificado SSL',
+  descricao: 'Certificado SSL verificado',
+  ordem: 40,
+  intervalo: 24 * 60 * 60 * 1000,
+  esquema: { sslValid: 'boolean', sslExpiry: 'string|null', sslDetalhes: 'object|null' },
+  padrao: SEM_SSL,
+  async executar({ url, site }) {
+    if (!url.toLowerCase().startsWith("https")) return SEM_SSL;
+    const { hostname, port } = new URL(url);
+    const porta = Number(port) || 443;
+    const info = await checkSSLCertificate(hostname, porta, site.timeout);
+    if (!info) return SEM_SSL;
+    const [legados, hsts] = await Promise.all([
+      Promise.all(PROTOCOLOS_LEGADOS.map(protocolo => aceitaProtocolo(hostname, porta, protocolo, site.timeout))),
+      verificarHsts(url, site)
+    ]);
+    const { expiry, ...detalhes } = info;
+    return {
+      sslValid: info.confiavel && info.hostnameValido && info.diasParaExpirar >= 0,
+      sslExpiry: expiry,
+      sslDetalhes: {
+        ...detalhes,
+        tlsLegado: PROTOCOLOS_LEGADOS.filter((protocolo, i) => legados[i]),
+        hsts
+      }
+    };
+  },
+  formatar: formatarSsl
+};
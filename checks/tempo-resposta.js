@@ -0,0 +1,33 @@
+/**
+ * Passo 2: Medir o tempo de resposta.
+ */
+
+const chalk = require('chalk').default;
+const { performance } = require('perf_hooks');
+const { http, opcoesRequisicao } = require('../lib/http');
+
+async function checkResponseTime(url, site) {
+  try {
+    const response = await http.get(url, opcoesRequisicao(site));
+    const end = performance.now();
+    return { respTime: (end - response.config.inicioRequisicao) / 1000, response };
+  } catch (e) {
+    return { respTime: null, response: null };
+  }
+}
+
+module.exports = {
+  id: 'tempo-resposta',
+  rotulo: 'Medir tempo de resposta',
+  descricao: 'Tempo de resposta medido',
+  ordem: 20,
+  esquema: { respTime: 'number|null', response: 'object|null' },
+  internos: ['response'],
+  padrao: { respTime: null, response: null },
+  executar: ({ url, site }) => checkResponseTime(url, site),
+  formatar: ({ respTime }) => (respTime !== null
+    ? (respTime < 1 ? chalk.green(`${respTime.toFixed(2)} s`)
+       : respTime < 3 ? chalk.yellow(`${respTime.toFixed(2)} s`)
+       : chalk.red(`${respTime.toFixed(2)} s`))
+    : chalk.gray("N/A"))
+};
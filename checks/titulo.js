@@ -0,0 +1,25 @@
+/**
+ * Passo 8: Extrair o título da página.
+ */
+
+const cheerio = require('cheerio');
+const chalk = require('chalk').default;
+
+function getPageTitle(content) {
+  try {
+    const $ = cheerio.load(content);
+    return $('title').text().trim() || 'N/A';
+  } catch (e) { return 'N/A'; }
+}
+
+module.exports = {
+  id: 'titulo',
+  rotulo: 'Título',
+  descricao: 'Título extraído',
+  ordem: 80,
+  dependencias: ['disponibilidade'],
+  esquema: { pageTitle: 'string' },
+  padrao: { pageTitle: 'N/A' },
+  executar: ({ dados }) => ({ pageTitle: getPageTitle(dados.content) }),
+  formatar: ({ pageTitle }) => chalk.white(pageTitle)
+};
@@ -0,0 +1,101 @@
+/**
+ * Passo 14: Salvar o conteúdo (controle de versões).
+ *
+ * O HTML da página inicial é salvo em dominios/<domínio>/AAAA-MM-DD.html; uma nova versão
+ * (AAAA-MM-DD_1.html, _2...) só é criada se o conteúdo mudou e a última é mais antiga que
+ * --version-interval (padrão 10 minutos). A versão anterior mais recente (de qualquer data)
+ * fica em versaoAnterior, para a comparação feita em checks/alteracoes.js. Com o site fora do ar
+ * nenhuma versão é salva.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk').default;
+const { criarPastas } = require('../lib/pastas');
+
+function hashContent(data) {
+  return crypto.createHash('md5').update(data).digest('hex');
+}
+
+function contarVersoes(domainPath, dateBase) {
+  let count = 0;
+  const files = fs.readdirSync(domainPath);
+  for (const file of files) {
+    if (file.startsWith(dateBase) && file.endsWith('.html')) count++;
+  }
+  return count;
+}
+
+function getLastVersionFile(domainPath, dateBase) {
+  let versions = [];
+  const files = fs.readdirSync(domainPath);
+  for (const file of files) {
+    if (file.startsWith(dateBase) && file.endsWith('.html')) {
+      const num = file === `${dateBase}.html` ? 0 : parseInt(file.replace(dateBase + '_', '').replace('.html', ''), 10) || 0;
+      versions.push({ num, file });
+    }
+  }
+  if (!versions.length) return null;
+  versions.sort((a, b) => a.num - b.num);
+  return versions[versions.length - 1].file;
+}
+
+// Versão mais recente entre todas as datas (AAAA-MM-DD.html, AAAA-MM-DD_N.html); versões vazias
+// (salvas com o site fora do ar por versões antigas do script) são ignoradas
+function getLatestVersionFile(domainPath) {
+  const versions = fs.readdirSync(domainPath)
+    .map(file => file.match(/^(\d{4}-\d{2}-\d{2})(?:_(\d+))?\.html$/))
+    .filter(match => match && fs.statSync(path.join(domainPath, match[0])).size > 0)
+    .map(match => ({ file: match[0], date: match[1], num: parseInt(match[2] || '0', 10) }));
+  if (!versions.length) return null;
+  versions.sort((a, b) => a.date.localeCompare(b.date) || a.num - b.num);
+  return versions[versions.length - 1].file;
+}
+
+function salvarConteudo(domainPath, content, threshold) {
+  const hoje = new Date().toISOString().slice(0,10);
+  const now = Date.now();
+  const lastFile = getLastVersionFile(domainPath, hoje);
+  if (lastFile) {
+    const lastFilePath = path.join(domainPath, lastFile);
+    const stats = fs.statSync(lastFilePath);
+    if ((now - stats.mtimeMs) < threshold) {
+      return { savedFile: null, totalVersoes: contarVersoes(domainPath, hoje) };
+    }
+    const existingContent = fs.readFileSync(lastFilePath);
+    if (hashContent(existingContent) === hashContent(content)) {
+      return { savedFile: null, totalVersoes: contarVersoes(domainPath, hoje) };
+    } else {
+      let novoNome = lastFile === `${hoje}.html` ? `${hoje}_1.html` : `${hoje}_${parseInt(lastFile.replace(hoje + '_', '').replace('.html', ''),10)+1}.html`;
+      fs.writeFileSync(path.join(domainPath, novoNome), content);
+      return { savedFile: novoNome, totalVersoes: contarVersoes(domainPath, hoje) };
+    }
+  } else {
+    const novoNome = `${hoje}.html`;
+    fs.writeFileSync(path.join(domainPath, novoNome), content);
+    return { savedFile: novoNome, totalVersoes: contarVersoes(domainPath, hoje) };
+  }
+}
+
+module.exports = {
+  id: 'versoes',
+  rotulo: 'Versões Salvas',
+  descricao: 'Conteúdo salvo',
+  ordem: 140,
+  dependencias: ['disponibilidade'],
+  esquema: { totalVersoes: 'number', savedFile: 'string|null', versaoAnterior: 'string|null' },
+  internos: ['versaoAnterior'],
+  padrao: { totalVersoes: 0, savedFile: null, versaoAnterior: null },
+  executar: ({ dominio, dados, opcoes }) => {
+    const domainPath = criarPastas(dominio);
+    // Sem conteúdo (site fora do ar) nada é salvo nem comparado: a próxima versão será comparada
+    // com a última salva com o site no ar, e não com uma página vazia
+    if (!dados.online || typeof dados.content !== 'string' || !dados.content) {
+      return { totalVersoes: contarVersoes(domainPath, new Date().toISOString().slice(0,10)), savedFile: null, versaoAnterior: null };
+    }
+    const versaoAnterior = getLatestVersionFile(domainPath);
+    return { ...salvarConteudo(domainPath, dados.content, opcoes.versionInterval), versaoAnterior };
+  },
+  formatar: ({ totalVersoes }) => chalk.hex('#FFA500')(totalVersoes.toString())
+};
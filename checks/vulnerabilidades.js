@@ -0,0 +1,37 @@
+/**
+ * Passo 13 (complemento): Vulnerabilidades conhecidas do core, do tema e dos plugins.
+ *
+ * Cruza o inventário do WordPress com a base local informada em --vuln-db
+ * (veja lib/vulnerabilidades.js para o formato). Sem a base ou sem o inventário o resultado é
+ * null (não verificado), e não uma lista vazia.
+ */
+
+const chalk = require('chalk').default;
+const { carregarBaseVulnerabilidades, buscarVulnerabilidades } = require('../lib/vulnerabilidades');
+const { rotuloSeveridade } = require('../lib/severidades');
+
+function formatarVulnerabilidades({ vulnerabilidades, wpInventario }, { opcoes }) {
+  if (!opcoes.vulnDb) return chalk.gray("Base não configurada (--vuln-db)");
+  if (!wpInventario || !vulnerabilidades) return chalk.gray("N/A");
+  if (!vulnerabilidades.length) return chalk.green("Nenhuma conhecida");
+  return `\n${vulnerabilidades.map(v => {
+    const componente = v.tipo === 'core' ? `WordPress ${v.versao}` : `${v.tipo === 'theme' ? 'tema' : 'plugin'} ${v.slug} ${v.versao}`;
+    const correcao = v.corrigidaEm ? `corrigida em ${v.corrigidaEm}` : 'correção não informada';
+    return `   ${rotuloSeveridade(v.severidade)} ${v.id} - ${componente} (${correcao})${v.resumo ? chalk.gray(` ${v.resumo}`) : ''}`;
+  }).join('\n')}`;
+}
+
+module.exports = {
+  id: 'vulnerabilidades',
+  rotulo: 'Vulnerabilidades',
+  descricao: 'Vulnerabilidades verificadas',
+  ordem: 137,
+  dependencias: ['inventario-wp'],
+  esquema: { vulnerabilidades: 'array|null' },
+  padrao: { vulnerabilidades: null },
+  executar: ({ dados, opcoes }) => {
+    if (!opcoes.vulnDb || !dados.wpInventario) return { vulnerabilidades: null };
+    return { vulnerabilidades: buscarVulnerabilidades(carregarBaseVulnerabilidades(opcoes.vulnDb), dados.wpInventario) };
+  },
+  formatar: formatarVulnerabilidades
+};
@@ -0,0 +1,55 @@
+/**
+ * Passo 13: Executar verificações específicas para WordPress
+ * (presença de wp-content, wp-includes, meta tag generator, endpoints /wp-json/ e /wp-admin/).
+ */
+
+const cheerio = require('cheerio');
+const chalk = require('chalk').default;
+const { http, opcoesRequisicao } = require('../lib/http');
+
+async function checkWordpressFeatures(content, baseUrl, site) {
+  let features = {};
+  let text = (typeof content === 'string') ? content.toLowerCase() : (Buffer.isBuffer(content) ? content.toString('utf8').toLowerCase() : "");
+  features.wp_content = text.includes("wp-content");
+  features.wp_includes = text.includes("wp-includes");
+  features.meta_generator = false;
+  try {
+    const $ = cheerio.load(content);
+    const meta = $('meta[name="generator"]').attr('content');
+    if (meta && meta.toLowerCase().includes("wordpress")) features.meta_generator = true;
+  } catch (e) { }
+  try {
+    const wpJsonUrl = baseUrl.replace(/\/+$/, "") + "/wp-json/";
+    const res = await http.get(wpJsonUrl, opcoesRequisicao(site));
+    features.wp_json = (res.status === 200);
+  } catch (e) { features.wp_json = false; }
+  try {
+    const wpAdminUrl = baseUrl.replace(/\/+$/, "") + "/wp-admin/";
+    const res = await http.get(wpAdminUrl, opcoesRequisicao(site));
+    features.wp_admin = ((res.status === 200 || res.status === 302) && res.data.toLowerCase().includes("login"));
+  } catch (e) { features.wp_admin = false; }
+  return features;
+}
+
+module.exports = {
+  id: 'wordpress',
+  rotulo: 'Verificações específicas para WordPress',
+  descricao: 'Verificações WordPress realizadas',
+  ordem: 130,
+  dependencias: ['disponibilidade'],
+  esquema: { wpFeatures: 'object' },
+  padrao: {
+    wpFeatures: { wp_content: false, wp_includes: false, meta_generator: false, wp_json: false, wp_admin: false }
+  },
+  async executar({ url, site, dados }) {
+    const baseUrl = url.startsWith("http") ? url : "http://" + url;
+    return { wpFeatures: await checkWordpressFeatures(dados.content, baseUrl, site) };
+  },
+  formatar: ({ wpFeatures }) => `
+wp-content: ${wpFeatures.wp_content ? chalk.green("Encontrado") : chalk.red("Não encontrado")}
+wp-includes: ${wpFeatures.wp_includes ? chalk.green("Encontrado") : chalk.red("Não encontrado")}
+Meta Generator: ${wpFeatures.meta_generator ? chalk.green("WordPress detectado") : chalk.red("Não detectado")}
+Endpoint /wp-json/: ${wpFeatures.wp_json ? chalk.green("Acessível") : chalk.red("Indisponível")}
+Endpoint /wp-admin/: ${wpFeatures.wp_admin ? chalk.green("Página de Login Detectada") : chalk.red("Não detectada")}
+  `
+};
@@ -0,0 +1,139 @@
+/**
+ * Alertas sobre mudanças de estado dos sites.
+ *
+ * Regras (configuradas em "alerts"):
+ *  - offline:   site OFFLINE em offlineAfter verificações seguidas
+ *  - ssl:       certificado SSL expira em menos de sslDays dias
+ *  - erros:     novas palavras de erro no conteúdo (newErrors)
+ *  - conteudo:  conteúdo da página alterado (contentChanged) ou alterações suspeitas
+ *               (scripts, iframes, código ofuscado), avisadas sempre
+ *  - noindex:   página inicial bloqueada para os buscadores (meta robots ou X-Robots-Tag),
+ *               avisada sempre
+ *
+ * As regras "offline", "ssl" e "noindex" são estados: o alerta é enviado uma vez ao entrar no estado
+ * e, com recovery, uma notificação de recuperação ao sair. "erros" e "conteudo" são eventos
+ * avisados a cada ocorrência. O estado fica em <outputDir>/<domínio>/alertas.json, para que
+ * a deduplicação valha também entre execuções (cron).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { criarPastas } = require('./pastas');
+const { notificar } = require('./notificadores');
+
+const ARQUIVO = 'alertas.json';
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+function caminhoEstado(url) {
+  return path.join(criarPastas(new URL(url).hostname), ARQUIVO);
+}
+
+function lerEstados(arquivo) {
+  if (!fs.existsSync(arquivo)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+const regioes = total => `${total} ${total === 1 ? 'região' : 'regiões'}`;
+
+function diasAteExpirar(sslExpiry, agora) {
+  const expira = Date.parse(sslExpiry);
+  return Number.isNaN(expira) ? null : Math.floor((expira - agora) / DIA_MS);
+}
+
+/**
+ * Avalia as regras para uma execução de um site. Recebe o estado anterior do site
+ * (ou {}) e devolve { eventos, estado }, sem efeitos colaterais.
+ */
+function avaliarAlertas(url, dados, estadoAnterior, regras, agora = new Date()) {
+  const estado = {
+    offlineSeguidos: 0,
+    erros: [],
+    ativos: {},
+    ...estadoAnterior
+  };
+  estado.ativos = { ...estado.ativos };
+  const eventos = [];
+  const evento = (tipo, regra, severidade, mensagem) =>
+    eventos.push({ tipo, regra, severidade, url, mensagem, data: agora.toISOString() });
+
+  // Regras de estado: alerta ao entrar, recuperação ao sair
+  const atualizarEstado = (regra, ativo, severidade, mensagem, mensagemRecuperacao) => {
+    if (ativo && !estado.ativos[regra]) {
+      estado.ativos[regra] = { desde: agora.toISOString() };
+      evento('alerta', regra, severidade, mensagem);
+    } else if (!ativo && estado.ativos[regra]) {
+      delete estado.ativos[regra];
+      if (regras.recovery) evento('recuperacao', regra, 'info', mensagemRecuperacao);
+    }
+  };
+
+  if (typeof dados.online === 'boolean') {
+    estado.offlineSeguidos = dados.online ? 0 : estado.offlineSeguidos + 1;
+    atualizarEstado('offline', estado.offlineSeguidos >= regras.offlineAfter, 'critico',
+      `Site OFFLINE há ${estado.offlineSeguidos} verificações seguidas${dados.disponibilidade ? ` (${dados.disponibilidade.motivo})` : ''}`,
+      'Site ONLINE novamente');
+  }
+
+  if (url.toLowerCase().startsWith('https') && typeof dados.sslExpiry !== 'undefined') {
+    const dias = dados.sslExpiry ? diasAteExpirar(dados.sslExpiry, agora.getTime()) : null;
+    // Sem certificado (ou ilegível) não há como avaliar a expiração; o estado é mantido
+    if (dias !== null) {
+      atualizarEstado('ssl', dias < regras.sslDays, dias < 7 ? 'critico' : 'alto',
+        dias < 0 ? `Certificado SSL expirado em ${dados.sslExpiry}` : `Certificado SSL expira em ${dias} dias (${dados.sslExpiry})`,
+        `Certificado SSL renovado (expira em ${dados.sslExpiry})`);
+    }
+  }
+
+  if (dados.seo) {
+    const { noindex, meta, cabecalho } = dados.seo.indexacao;
+    const origem = [meta && `meta robots "${meta}"`, cabecalho && `X-Robots-Tag "${cabecalho}"`].filter(Boolean).join(' e ');
+    atualizarEstado('noindex', noindex, 'alto',
+      `Página inicial com noindex (${origem}): o site está bloqueado para os buscadores`,
+      'noindex removido da página inicial');
+  }
+
+  if (Array.isArray(dados.erros)) {
+    const novos = dados.erros.filter(erro => !estado.erros.includes(erro));
+    if (regras.newErrors && novos.length) {
+      evento('alerta', 'erros', 'medio', `Novas palavras de erro no conteúdo: ${novos.join(', ')}`);
+    }
+    estado.erros = dados.erros;
+  }
+
+  // Alterações suspeitas (scripts, iframes, código ofuscado) são avisadas mesmo sem contentChanged
+  const suspeitos = dados.alteracoes ? dados.alteracoes.suspeitos : [];
+  if (suspeitos.length) {
+    const motivos = [...new Set(suspeitos.map(suspeito => suspeito.motivo))].join('; ');
+    evento('alerta', 'conteudo', 'alto', `Alterações suspeitas no conteúdo (${motivos}) na nova versão ${dados.savedFile}`);
+  } else if (regras.contentChanged && dados.conteudoAlterado) {
+    evento('alerta', 'conteudo', 'medio',
+      `Conteúdo da página alterado: ${regioes(dados.alteracoes.regioes.length)} (nova versão ${dados.savedFile})`);
+  }
+
+  return { eventos, estado };
+}
+
+/**
+ * Avalia os alertas de uma execução, grava o novo estado e envia os eventos aos
+ * notificadores. Devolve os eventos e as falhas de envio.
+ */
+async function processarAlertas(url, dados, opcoes) {
+  const arquivo = caminhoEstado(url);
+  // Leitura e gravação síncronas: sites do mesmo domínio compartilham o arquivo
+  const estados = lerEstados(arquivo);
+  const { eventos, estado } = avaliarAlertas(url, dados, estados[url] || {}, opcoes.alerts);
+  estados[url] = estado;
+  fs.writeFileSync(arquivo, JSON.stringify(estados, null, 2));
+
+  const falhas = [];
+  for (const evento of eventos) {
+    falhas.push(...await notificar(opcoes.alerts.notifiers, evento));
+  }
+  return { eventos, falhas };
+}
+
+module.exports = { avaliarAlertas, processarAlertas };
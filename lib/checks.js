@@ -0,0 +1,202 @@
+/**
+ * Registro de verificações (checks).
+ *
+ * Cada verificação é um módulo CommonJS que exporta um objeto (ou uma lista deles) com:
+ *  - id:           identificador único (usado em dependências e em --enable/--disable-checks)
+ *  - rotulo:       texto exibido nos detalhes do site ("Certificado SSL")
+ *  - descricao:    mensagem do log de progresso ao concluir ("Certificado SSL verificado")
+ *  - ordem:        posição na lista de detalhes (as verificações nativas usam 10, 20, ... 160)
+ *  - dependencias: ids das verificações cujos resultados precisam estar em ctx.dados
+ *  - dependenciasOpcionais: ids de verificações aguardadas só quando estão ativas (se
+ *                  desativadas, esta verificação roda sem os resultados delas)
+ *  - timeout:      tempo máximo em ms (padrão 60000), ou timeout(ctx) quando depende dos ajustes
+ *                  do site; ao expirar, ctx.sinal é cancelado
+ *  - esquema:      { campo: 'tipo' } dos campos devolvidos; tipos: boolean, number, string,
+ *                  array, object, null ou any, combináveis com "|" ("string|null")
+ *  - internos:     campos do esquema usados só por outras verificações (não vão para os relatórios)
+ *  - padrao:       resultado usado quando a verificação falha, expira ou foge do esquema
+ *  - ativo:        false para verificações que só rodam com --enable-checks (padrão true)
+ *  - intervalo:    no modo --watch, de quanto em quanto tempo (ms) a verificação roda
+ *                  (padrão: --watch-interval)
+ *  - executar(ctx):          devolve (ou resolve para) o resultado; ctx = { url, dominio, site, dados, opcoes, sinal },
+ *                            onde site traz os ajustes do site (timeout, headers, auth, screenshot) e
+ *                            sinal é um AbortSignal cancelado quando a verificação expira (também em
+ *                            site.sinal, que opcoesRequisicao repassa às requisições HTTP)
+ *  - formatar(dados, ctx):   texto exibido após o rótulo nos detalhes do site (recebe só os
+ *                            campos públicos de todas as verificações)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TIMEOUT_PADRAO = 60000;
+
+function validarDefinicao(check, origem) {
+  const obrigatorios = { id: 'string', rotulo: 'string', ordem: 'number', executar: 'function', formatar: 'function' };
+  for (const [campo, tipo] of Object.entries(obrigatorios)) {
+    if (typeof check[campo] !== tipo) {
+      throw new Error(`Verificação inválida em ${origem}: "${campo}" deve ser ${tipo}`);
+    }
+  }
+  return {
+    descricao: `${check.rotulo} verificado`,
+    dependencias: [],
+    dependenciasOpcionais: [],
+    timeout: TIMEOUT_PADRAO,
+    esquema: {},
+    internos: [],
+    padrao: {},
+    ativo: true,
+    ...check
+  };
+}
+
+// Carrega todas as verificações (*.js) de um diretório
+function carregarChecks(diretorio) {
+  if (!fs.existsSync(diretorio)) return [];
+  return fs.readdirSync(diretorio)
+    .filter(arquivo => arquivo.endsWith('.js'))
+    .sort()
+    .flatMap(arquivo => {
+      const caminho = path.resolve(diretorio, arquivo);
+      const exportado = require(caminho);
+      return (Array.isArray(exportado) ? exportado : [exportado]).map(check => validarDefinicao(check, caminho));
+    });
+}
+
+/**
+ * Define quais verificações rodam, a partir das listas de ativação/desativação.
+ * Verificações que dependem de uma desativada também são desativadas (com aviso).
+ * Devolve { checks, avisos }, com as verificações ordenadas por "ordem".
+ */
+function resolverChecks(todos, { ativar = [], desativar = [] } = {}) {
+  const porId = new Map();
+  for (const check of todos) {
+    if (porId.has(check.id)) throw new Error(`Verificação duplicada: ${check.id}`);
+    porId.set(check.id, check);
+  }
+  for (const id of [...ativar, ...desativar]) {
+    if (!porId.has(id)) throw new Error(`Verificação desconhecida: ${id}`);
+  }
+
+  const avisos = [];
+  const ativos = new Set(todos
+    .filter(check => (check.ativo || ativar.includes(check.id)) && !desativar.includes(check.id))
+    .map(check => check.id));
+
+  // Propaga a desativação para os dependentes até estabilizar
+  let alterou = true;
+  while (alterou) {
+    alterou = false;
+    for (const id of ativos) {
+      const faltando = porId.get(id).dependencias.find(dep => !ativos.has(dep));
+      if (faltando) {
+        if (!porId.has(faltando)) throw new Error(`Verificação ${id} depende de ${faltando}, que não existe`);
+        avisos.push(`Verificação ${id} desativada porque depende de ${faltando}`);
+        ativos.delete(id);
+        alterou = true;
+      }
+    }
+  }
+
+  // Detecta dependências circulares
+  const visitando = new Set(), visitados = new Set();
+  const visitar = (id, caminho) => {
+    if (visitados.has(id)) return;
+    if (visitando.has(id)) throw new Error(`Dependência circular entre verificações: ${[...caminho, id].join(' -> ')}`);
+    visitando.add(id);
+    const { dependencias, dependenciasOpcionais } = porId.get(id);
+    for (const dep of [...dependencias, ...dependenciasOpcionais].filter(dep => ativos.has(dep))) visitar(dep, [...caminho, id]);
+    visitando.delete(id);
+    visitados.add(id);
+  };
+  for (const id of ativos) visitar(id, []);
+
+  const checks = todos.filter(check => ativos.has(check.id)).sort((a, b) => a.ordem - b.ordem);
+  return { checks, avisos };
+}
+
+function tipoDe(valor) {
+  if (valor === null) return 'null';
+  if (Array.isArray(valor)) return 'array';
+  return typeof valor;
+}
+
+// Lista as divergências entre o resultado e o esquema declarado pela verificação
+function validarResultado(check, resultado) {
+  if (tipoDe(resultado) !== 'object') return ['o resultado não é um objeto'];
+  const problemas = [];
+  for (const [campo, tipo] of Object.entries(check.esquema)) {
+    const aceitos = tipo.split('|');
+    if (!aceitos.includes('any') && !aceitos.includes(tipoDe(resultado[campo]))) {
+      problemas.push(`${campo} deveria ser ${tipo}, veio ${tipoDe(resultado[campo])}`);
+    }
+  }
+  return problemas;
+}
+
+// Executa tarefa(sinal) com tempo limite; ao expirar, o sinal é cancelado para a tarefa parar o que
+// ainda estiver fazendo (requisições, páginas do Chrome), em vez de continuar em segundo plano
+function comTimeout(tarefa, ms) {
+  const controle = new AbortController();
+  let timer;
+  const limite = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const erro = new Error(`tempo limite de ${ms} ms excedido`);
+      controle.abort(erro);
+      reject(erro);
+    }, ms);
+  });
+  return Promise.race([Promise.resolve().then(() => tarefa(controle.signal)), limite]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Executa as verificações de um site. Cada uma começa assim que suas dependências
+ * terminam, então verificações independentes rodam em paralelo.
+ * aoConcluir(check, erro) é chamado ao fim de cada uma; em caso de erro, o resultado
+ * é o "padrao" da verificação. Dependências fora da lista são consideradas já
+ * resolvidas em ctx.dados (resultados de uma rodada anterior, no modo --watch).
+ */
+async function executarChecks(checks, ctx, aoConcluir) {
+  const porId = new Map(checks.map(check => [check.id, check]));
+  const execucoes = new Map();
+
+  const executar = check => {
+    if (!execucoes.has(check.id)) {
+      execucoes.set(check.id, (async () => {
+        const deps = [...check.dependencias, ...check.dependenciasOpcionais];
+        await Promise.all(deps.filter(dep => porId.has(dep)).map(dep => executar(porId.get(dep))));
+        let resultado, erro = null;
+        try {
+          const limite = typeof check.timeout === 'function' ? check.timeout(ctx) : check.timeout;
+          resultado = await comTimeout(sinal => check.executar({ ...ctx, sinal, site: { ...ctx.site, sinal } }), limite);
+          const problemas = validarResultado(check, resultado);
+          if (problemas.length) throw new Error(`resultado fora do esquema (${problemas.join('; ')})`);
+        } catch (e) {
+          erro = e;
+          resultado = check.padrao;
+        }
+        Object.assign(ctx.dados, resultado);
+        aoConcluir(check, erro);
+      })());
+    }
+    return execucoes.get(check.id);
+  };
+
+  await Promise.all(checks.map(executar));
+  return ctx.dados;
+}
+
+// Remove os campos internos, deixando apenas o que vai para os relatórios, na ordem
+// das verificações (campos fora do esquema vêm por último)
+function dadosPublicos(checks, dados) {
+  const internos = new Set(checks.flatMap(check => check.internos));
+  const campos = new Set([...checks.flatMap(check => Object.keys(check.esquema)), ...Object.keys(dados)]);
+  const publicos = {};
+  for (const campo of campos) {
+    if (!internos.has(campo) && campo in dados) publicos[campo] = dados[campo];
+  }
+  return publicos;
+}
+
+module.exports = { carregarChecks, resolverChecks, executarChecks, validarResultado, dadosPublicos };
@@ -0,0 +1,243 @@
+/**
+ * Configuração: valores padrão, arquivo de configuração e argumentos de linha de comando.
+ *
+ * A precedência é padrão < arquivo (verifica.config.json ou --config) < argumentos.
+ * As chaves do arquivo são os nomes das opções abaixo (ex.: "--host-interval" vira "hostInterval");
+ * a chave "sites" guarda ajustes por site (veja lib/sites.js), "alerts" as regras e os
+ * notificadores de alertas (veja lib/alertas.js) e "scoreWeights" os pesos do score (veja lib/pontuacao.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validarNotificador } = require('./notificadores');
+const { carregarBaseVulnerabilidades } = require('./vulnerabilidades');
+const { PESOS_PADRAO } = require('./pontuacao');
+const { REDES } = require('./metricas');
+
+const ARQUIVO_PADRAO = 'verifica.config.json';
+const FORMATOS_SAIDA = ['json', 'csv', 'junit'];
+const SCREENSHOTS_EXTRAS = ['fullpage', 'mobile', 'desktop'];
+const FORMATOS_RELATORIO = ['html', 'pdf'];
+
+const PADROES = {
+  headless: false,
+  format: 'json',
+  out: null,
+  reports: [],
+  minScore: 0,
+  concurrency: 4,
+  hostInterval: 250,
+  enableChecks: [],
+  disableChecks: [],
+  checksDir: null,
+  links: 'links.txt',
+  tags: [],
+  client: null,
+  outputDir: 'dominios',
+  timeout: 10000,
+  retries: 2,
+  retryDelay: 1000,
+  versionInterval: 600000,
+  viewport: { width: 1280, height: 800 },
+  visualThreshold: 1,
+  openScreenshot: false,
+  mobile: false,
+  throttling: null,
+  extraScreenshots: [],
+  errorKeywords: ["404", "not found", "error", "503", "maintenance"],
+  vulnDb: null,
+  crawlDepth: 0,
+  crawlMaxPages: 10,
+  crawlSitemap: false,
+  watch: false,
+  watchInterval: 5 * 60 * 1000,
+  intervals: {},
+  scoreDrop: 10,
+  scoreWeights: {},
+  serve: null,
+  serveHost: '127.0.0.1',
+  sites: {},
+  alerts: {
+    offlineAfter: 3,
+    sslDays: 14,
+    newErrors: true,
+    contentChanged: true,
+    recovery: true,
+    notifiers: []
+  }
+};
+
+// Argumento -> [opção, tipo do valor]
+const ARGUMENTOS = {
+  '--config': ['config', 'texto'],
+  '--headless': ['headless', 'flag'],
+  '--format': ['format', 'texto'],
+  '--out': ['out', 'texto'],
+  '--reports': ['reports', 'lista'],
+  '--min-score': ['minScore', 'numero'],
+  '--concurrency': ['concurrency', 'numero'],
+  '--host-interval': ['hostInterval', 'numero'],
+  '--enable-checks': ['enableChecks', 'lista'],
+  '--disable-checks': ['disableChecks', 'lista'],
+  '--checks-dir': ['checksDir', 'texto'],
+  '--links': ['links', 'texto'],
+  '--tags': ['tags', 'lista'],
+  '--client': ['client', 'texto'],
+  '--output-dir': ['outputDir', 'texto'],
+  '--timeout': ['timeout', 'numero'],
+  '--retries': ['retries', 'numero'],
+  '--retry-delay': ['retryDelay', 'numero'],
+  '--version-interval': ['versionInterval', 'numero'],
+  '--viewport': ['viewport', 'viewport'],
+  '--visual-threshold': ['visualThreshold', 'numero'],
+  '--open-screenshot': ['openScreenshot', 'flag'],
+  '--mobile': ['mobile', 'flag'],
+  '--throttling': ['throttling', 'texto'],
+  '--extra-screenshots': ['extraScreenshots', 'lista'],
+  '--error-keywords': ['errorKeywords', 'lista'],
+  '--vuln-db': ['vulnDb', 'texto'],
+  '--crawl-depth': ['crawlDepth', 'numero'],
+  '--crawl-max-pages': ['crawlMaxPages', 'numero'],
+  '--crawl-sitemap': ['crawlSitemap', 'flag'],
+  '--watch': ['watch', 'flag'],
+  '--watch-interval': ['watchInterval', 'numero'],
+  '--score-drop': ['scoreDrop', 'numero'],
+  '--serve': ['serve', 'numero'],
+  '--serve-host': ['serveHost', 'texto']
+};
+
+function lista(texto) {
+  return texto.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Aceita "1280x800" ou { width, height }
+function lerViewport(valor) {
+  if (typeof valor === 'string') {
+    const partes = valor.toLowerCase().split('x').map(Number);
+    return { width: partes[0], height: partes[1] };
+  }
+  return valor;
+}
+
+function lerArgumentos(argv) {
+  const cli = {};
+  for (let i = 0; i < argv.length; i++) {
+    const [arg, valor] = argv[i].split(/=(.*)/s);
+    if (!ARGUMENTOS[arg]) throw new Error(`Argumento desconhecido: ${arg}`);
+    const [opcao, tipo] = ARGUMENTOS[arg];
+    if (tipo === 'flag') {
+      cli[opcao] = true;
+      continue;
+    }
+    const texto = valor !== undefined ? valor : argv[++i];
+    if (texto === undefined) throw new Error(`${arg} precisa de um valor`);
+    if (tipo === 'numero') cli[opcao] = Number(texto);
+    else if (tipo === 'lista') cli[opcao] = lista(texto);
+    else if (tipo === 'viewport') cli[opcao] = lerViewport(texto);
+    else cli[opcao] = texto;
+  }
+  return cli;
+}
+
+function carregarArquivoConfig(caminho) {
+  const texto = fs.readFileSync(caminho, 'utf8');
+  try {
+    if (/\.ya?ml$/i.test(caminho)) return require('js-yaml').load(texto) || {};
+    return JSON.parse(texto);
+  } catch (e) {
+    throw new Error(`Arquivo de configuração inválido (${caminho}): ${e.message}`);
+  }
+}
+
+function validarOpcoes(opcoes) {
+  const numeroMinimo = (opcao, minimo, inteiro = false) => {
+    const valor = opcoes[opcao];
+    if (typeof valor !== 'number' || Number.isNaN(valor) || valor < minimo || (inteiro && !Number.isInteger(valor))) {
+      throw new Error(`${opcao} deve ser um número${inteiro ? ' inteiro' : ''} >= ${minimo}`);
+    }
+  };
+  if (!FORMATOS_SAIDA.includes(opcoes.format)) {
+    throw new Error(`Formato inválido: ${opcoes.format} (use ${FORMATOS_SAIDA.join(', ')})`);
+  }
+  numeroMinimo('minScore', 0);
+  numeroMinimo('concurrency', 1, true);
+  numeroMinimo('hostInterval', 0);
+  numeroMinimo('timeout', 1);
+  numeroMinimo('retries', 0, true);
+  numeroMinimo('retryDelay', 0);
+  numeroMinimo('versionInterval', 0);
+  numeroMinimo('watchInterval', 1000);
+  numeroMinimo('scoreDrop', 0);
+  numeroMinimo('visualThreshold', 0);
+  numeroMinimo('crawlDepth', 0, true);
+  numeroMinimo('crawlMaxPages', 1, true);
+  if (opcoes.serve !== null && (!Number.isInteger(opcoes.serve) || opcoes.serve < 1 || opcoes.serve > 65535)) {
+    throw new Error('serve deve ser um número de porta (1 a 65535)');
+  }
+  if (opcoes.throttling !== null && !(opcoes.throttling in REDES)) {
+    throw new Error(`throttling inválido: ${opcoes.throttling} (use ${Object.keys(REDES).join(', ')})`);
+  }
+  const { width, height } = opcoes.viewport || {};
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error('viewport deve ser no formato LARGURAxALTURA (ex.: 1280x800)');
+  }
+  for (const opcao of ['enableChecks', 'disableChecks', 'errorKeywords', 'extraScreenshots', 'reports', 'tags']) {
+    if (!Array.isArray(opcoes[opcao])) throw new Error(`${opcao} deve ser uma lista`);
+  }
+  const extraInvalido = opcoes.extraScreenshots.find(formato => !SCREENSHOTS_EXTRAS.includes(formato));
+  if (extraInvalido) throw new Error(`Screenshot extra inválido: ${extraInvalido} (use ${SCREENSHOTS_EXTRAS.join(', ')})`);
+  const relatorioInvalido = opcoes.reports.find(formato => !FORMATOS_RELATORIO.includes(formato));
+  if (relatorioInvalido) throw new Error(`Formato de relatório inválido: ${relatorioInvalido} (use ${FORMATOS_RELATORIO.join(', ')})`);
+  if (typeof opcoes.intervals !== 'object' || opcoes.intervals === null
+      || Object.values(opcoes.intervals).some(valor => typeof valor !== 'number' || valor < 1000)) {
+    throw new Error('intervals deve ser um objeto { "id da verificação": ms (>= 1000) }');
+  }
+  if (typeof opcoes.scoreWeights !== 'object' || opcoes.scoreWeights === null || Array.isArray(opcoes.scoreWeights)) {
+    throw new Error('scoreWeights deve ser um objeto { "regra": peso (>= 0) }');
+  }
+  for (const [regra, peso] of Object.entries(opcoes.scoreWeights)) {
+    if (!(regra in PESOS_PADRAO)) {
+      throw new Error(`Regra de score desconhecida em scoreWeights: ${regra} (use ${Object.keys(PESOS_PADRAO).join(', ')})`);
+    }
+    if (typeof peso !== 'number' || Number.isNaN(peso) || peso < 0) throw new Error(`scoreWeights.${regra} deve ser um número >= 0`);
+  }
+  if (opcoes.vulnDb) {
+    if (!fs.existsSync(opcoes.vulnDb)) throw new Error(`Base de vulnerabilidades não encontrada: ${opcoes.vulnDb}`);
+    carregarBaseVulnerabilidades(opcoes.vulnDb);
+  }
+  if (typeof opcoes.sites !== 'object' || opcoes.sites === null || Array.isArray(opcoes.sites)) {
+    throw new Error('sites deve ser um objeto { "url": { ajustes } }');
+  }
+  const { alerts } = opcoes;
+  for (const chave of Object.keys(alerts)) {
+    if (!(chave in PADROES.alerts)) throw new Error(`Opção desconhecida em alerts: ${chave}`);
+  }
+  if (!Number.isInteger(alerts.offlineAfter) || alerts.offlineAfter < 1) {
+    throw new Error('alerts.offlineAfter deve ser um número inteiro >= 1');
+  }
+  if (typeof alerts.sslDays !== 'number' || alerts.sslDays < 0) throw new Error('alerts.sslDays deve ser um número >= 0');
+  if (!Array.isArray(alerts.notifiers)) throw new Error('alerts.notifiers deve ser uma lista');
+  alerts.notifiers.forEach(validarNotificador);
+}
+
+// Monta as opções finais a partir dos argumentos (e do arquivo de configuração, se houver)
+function carregarOpcoes(argv) {
+  const cli = lerArgumentos(argv);
+  const caminhoConfig = cli.config || (fs.existsSync(ARQUIVO_PADRAO) ? ARQUIVO_PADRAO : null);
+  let arquivo = {};
+  if (caminhoConfig) {
+    if (!fs.existsSync(caminhoConfig)) throw new Error(`Arquivo de configuração não encontrado: ${caminhoConfig}`);
+    arquivo = carregarArquivoConfig(caminhoConfig);
+    for (const chave of Object.keys(arquivo)) {
+      if (!(chave in PADROES)) throw new Error(`Opção desconhecida em ${path.basename(caminhoConfig)}: ${chave}`);
+    }
+    if (arquivo.viewport !== undefined) arquivo.viewport = lerViewport(arquivo.viewport);
+    if (arquivo.alerts !== undefined) arquivo.alerts = { ...PADROES.alerts, ...arquivo.alerts };
+  }
+  delete cli.config;
+  const opcoes = { ...PADROES, ...arquivo, ...cli };
+  validarOpcoes(opcoes);
+  return opcoes;
+}
+
+module.exports = { carregarOpcoes, PADROES };
@@ -0,0 +1,136 @@
+/**
+ * Comparação entre duas versões do HTML de uma página.
+ *
+ * Antes de comparar, o HTML é normalizado para que ruídos que mudam a cada requisição não
+ * contem como alteração: nonces, parâmetros de cache-busting (?ver=, ?v=, ?t=...), datas,
+ * timestamps e comentários de plugins de cache. Depois cada tag vira uma linha e as linhas
+ * são comparadas (LCS), agrupando as diferenças em regiões.
+ */
+
+// Acima disso (linhas x linhas do trecho diferente) a comparação por LCS fica cara demais
+// e as linhas são comparadas como conjuntos, sem posição
+const LIMITE_LCS = 4000000;
+const TAMANHO_TRECHO = 80;
+
+const PADROES_SUSPEITOS = [
+  [/<script\b/i, 'script adicionado'],
+  [/<iframe\b/i, 'iframe adicionado'],
+  [/\b(eval|atob|unescape)\s*\(|String\.fromCharCode|document\.write\s*\(/, 'código ofuscado'],
+  [/<meta[^>]+http-equiv=["']?refresh/i, 'redirecionamento adicionado']
+];
+
+function normalizarHtml(html) {
+  return html
+    .replace(/<!--[^]*?(generated|cache|served|minified|optimized)[^]*?-->/gi, '')
+    .replace(/\snonce=(["'])[^"']*\1/gi, '')
+    .replace(/(["']?[\w-]*nonce["']?\s*[:=]\s*["'])[^"']*(["'])/gi, '$1$2')
+    .replace(/([?&])(ver|v|t|ts|timestamp|cb|cache|_)=[^"'&\s>]*/gi, '$1$2=')
+    .replace(/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g, '<data>')
+    .replace(/\b\d{10}(\d{3})?\b/g, '<timestamp>');
+}
+
+// Uma linha por tag, sem espaços extras
+function linhasDoHtml(html) {
+  return normalizarHtml(html)
+    .replace(/>\s*</g, '>\n<')
+    .split('\n')
+    .map(linha => linha.trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+}
+
+/**
+ * Compara as linhas e devolve as operações [{ tipo: '=' | '+' | '-', linha }].
+ * O prefixo e o sufixo em comum são separados antes da LCS.
+ */
+function compararLinhas(anteriores, atuais) {
+  let inicio = 0;
+  while (inicio < anteriores.length && inicio < atuais.length && anteriores[inicio] === atuais[inicio]) inicio++;
+  let fimA = anteriores.length;
+  let fimB = atuais.length;
+  while (fimA > inicio && fimB > inicio && anteriores[fimA - 1] === atuais[fimB - 1]) { fimA--; fimB--; }
+
+  const a = anteriores.slice(inicio, fimA);
+  const b = atuais.slice(inicio, fimB);
+  const iguais = linhas => linhas.map(linha => ({ tipo: '=', linha }));
+  let meio;
+
+  if (a.length * b.length > LIMITE_LCS) {
+    const emA = new Set(a);
+    const emB = new Set(b);
+    meio = [
+      ...a.filter(linha => !emB.has(linha)).map(linha => ({ tipo: '-', linha })),
+      ...b.filter(linha => !emA.has(linha)).map(linha => ({ tipo: '+', linha }))
+    ];
+  } else {
+    // tabela[i][j] = tamanho da LCS de a[i..] e b[j..]
+    const largura = b.length + 1;
+    const tabela = new Uint32Array((a.length + 1) * largura);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        tabela[i * largura + j] = a[i] === b[j]
+          ? tabela[(i + 1) * largura + j + 1] + 1
+          : Math.max(tabela[(i + 1) * largura + j], tabela[i * largura + j + 1]);
+      }
+    }
+    meio = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        meio.push({ tipo: '=', linha: a[i] }); i++; j++;
+      } else if (j < b.length && (i === a.length || tabela[i * largura + j + 1] >= tabela[(i + 1) * largura + j])) {
+        meio.push({ tipo: '+', linha: b[j] }); j++;
+      } else {
+        meio.push({ tipo: '-', linha: a[i] }); i++;
+      }
+    }
+  }
+  return [...iguais(anteriores.slice(0, inicio)), ...meio, ...iguais(anteriores.slice(fimA))];
+}
+
+function trecho(linha) {
+  return linha.length > TAMANHO_TRECHO ? `${linha.slice(0, TAMANHO_TRECHO - 1)}…` : linha;
+}
+
+/**
+ * Compara duas versões do HTML e devolve:
+ * { adicionadas, removidas, regioes: [{ linha, adicionadas, removidas, trecho }],
+ *   suspeitos: [{ motivo, trecho }] }
+ * "linha" é a posição (1, 2...) da região na versão nova, contada em linhas normalizadas.
+ */
+function compararVersoes(htmlAnterior, htmlAtual) {
+  const operacoes = compararLinhas(linhasDoHtml(htmlAnterior), linhasDoHtml(htmlAtual));
+  const regioes = [];
+  const suspeitos = [];
+  let linhaAtual = 0;
+  let regiao = null;
+
+  for (const { tipo, linha } of operacoes) {
+    if (tipo === '=') {
+      linhaAtual++;
+      regiao = null;
+      continue;
+    }
+    if (!regiao) {
+      regiao = { linha: linhaAtual + 1, adicionadas: 0, removidas: 0, trecho: trecho(linha) };
+      regioes.push(regiao);
+    }
+    if (tipo === '+') {
+      linhaAtual++;
+      regiao.adicionadas++;
+      const motivos = PADROES_SUSPEITOS.filter(([padrao]) => padrao.test(linha)).map(([, motivo]) => motivo);
+      if (motivos.length) suspeitos.push({ motivo: motivos.join(', '), trecho: trecho(linha) });
+    } else {
+      regiao.removidas++;
+    }
+  }
+
+  return {
+    adicionadas: regioes.reduce((total, r) => total + r.adicionadas, 0),
+    removidas: regioes.reduce((total, r) => total + r.removidas, 0),
+    regioes,
+    suspeitos
+  };
+}
+
+module.exports = { compararVersoes, normalizarHtml };
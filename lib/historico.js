@@ -0,0 +1,115 @@
+/**
+ * Histórico de execuções por site, em <outputDir>/<domínio>/historico.jsonl (um JSON por linha).
+ *
+ * Cada linha guarda os sinais usados para acompanhar tendências: data, status (e a situação da
+ * disponibilidade: online, degradado, dns, timeout...), tempo de resposta, certificado SSL, score e sinais WordPress.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { criarPastas } = require('./pastas');
+
+const ARQUIVO = 'historico.jsonl';
+
+function caminhoHistorico(dominio) {
+  return path.join(criarPastas(dominio), ARQUIVO);
+}
+
+// Acrescenta uma execução ao histórico do site e devolve o registro gravado
+function registrarExecucao(url, dados, data = new Date()) {
+  const registro = {
+    data: data.toISOString(),
+    url,
+    online: dados.online,
+    situacao: dados.disponibilidade ? dados.disponibilidade.situacao : null,
+    respTime: dados.respTime,
+    sslValid: dados.sslValid,
+    sslExpiry: dados.sslExpiry,
+    score: dados.score.total,
+    wordpress: dados.wpFeatures
+  };
+  fs.appendFileSync(caminhoHistorico(new URL(url).hostname), JSON.stringify(registro) + '\n');
+  return registro;
+}
+
+// Tamanho dos blocos lidos do fim do histórico
+const BLOCO = 64 * 1024;
+
+/**
+ * Lê as últimas "limite" execuções de uma URL (mais antigas primeiro). O arquivo só cresce, então ele
+ * é lido de trás para frente, em blocos, só até encontrar as execuções pedidas.
+ */
+function lerHistorico(url, limite = 50) {
+  const arquivo = caminhoHistorico(new URL(url).hostname);
+  if (!fs.existsSync(arquivo)) return [];
+  const execucoes = []; // da mais recente para a mais antiga
+  const adicionar = linha => {
+    if (!linha.length) return;
+    try {
+      const registro = JSON.parse(linha.toString('utf8'));
+      if (registro.url === url) execucoes.push(registro);
+    } catch (e) { /* linha corrompida (ex.: gravação interrompida) é ignorada */ }
+  };
+  const fd = fs.openSync(arquivo, 'r');
+  try {
+    let posicao = fs.fstatSync(fd).size;
+    let resto = Buffer.alloc(0); // começo de linha que continua no bloco anterior
+    while (posicao > 0 && execucoes.length < limite) {
+      const tamanho = Math.min(BLOCO, posicao);
+      posicao -= tamanho;
+      const bloco = Buffer.alloc(tamanho);
+      fs.readSync(fd, bloco, 0, tamanho, posicao);
+      const dados = Buffer.concat([bloco, resto]);
+      // As linhas são separadas nos bytes, para não cortar um caractere UTF-8 entre dois blocos
+      let fim = dados.length;
+      for (let i = dados.length - 1; i >= 0 && execucoes.length < limite; i--) {
+        if (dados[i] === 0x0a) {
+          adicionar(dados.subarray(i + 1, fim));
+          fim = i;
+        }
+      }
+      resto = dados.subarray(0, fim);
+    }
+    if (posicao === 0 && execucoes.length < limite) adicionar(resto);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return execucoes.slice(0, limite).reverse();
+}
+
+// Diferenças entre duas execuções consecutivas, em texto
+function mudancasEntre(anterior, atual) {
+  const mudancas = [];
+  // Execuções antigas não têm a situação; nelas vale só ONLINE/OFFLINE
+  const status = execucao => (execucao.situacao ? execucao.situacao.toUpperCase() : execucao.online ? 'ONLINE' : 'OFFLINE');
+  if (anterior.online !== atual.online || (anterior.situacao && atual.situacao && anterior.situacao !== atual.situacao)) {
+    mudancas.push(`${status(anterior)} → ${status(atual)}`);
+  }
+  if (anterior.score !== atual.score) mudancas.push(`score ${anterior.score} → ${atual.score}`);
+  if (anterior.sslExpiry !== atual.sslExpiry) mudancas.push(`SSL expira ${anterior.sslExpiry || 'N/A'} → ${atual.sslExpiry || 'N/A'}`);
+  if (JSON.stringify(anterior.wordpress) !== JSON.stringify(atual.wordpress)) mudancas.push('sinais WordPress alterados');
+  return mudancas;
+}
+
+/**
+ * Resume as tendências de uma lista de execuções:
+ * { execucoes, uptime (% ONLINE), tempos (tempo de resposta de cada execução, null se falhou),
+ *   ultimaMudanca: { data, mudancas } | null }
+ */
+function resumirTendencias(execucoes) {
+  if (!execucoes.length) return { execucoes: 0, uptime: null, tempos: [], ultimaMudanca: null };
+  const online = execucoes.filter(execucao => execucao.online).length;
+  let ultimaMudanca = null;
+  for (let i = execucoes.length - 1; i > 0 && !ultimaMudanca; i--) {
+    const mudancas = mudancasEntre(execucoes[i - 1], execucoes[i]);
+    if (mudancas.length) ultimaMudanca = { data: execucoes[i].data, mudancas };
+  }
+  return {
+    execucoes: execucoes.length,
+    uptime: (online / execucoes.length) * 100,
+    tempos: execucoes.map(execucao => (typeof execucao.respTime === 'number' ? execucao.respTime : null)),
+    ultimaMudanca
+  };
+}
+
+module.exports = { registrarExecucao, lerHistorico, resumirTendencias };
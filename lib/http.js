@@ -0,0 +1,91 @@
+/**
+ * Cliente HTTP compartilhado pelas verificações.
+ *
+ * Vários sites (e várias verificações de um mesmo site) rodam em paralelo; para não
+ * sobrecarregar um servidor, requisições ao mesmo host são espaçadas por um intervalo
+ * mínimo (--host-interval).
+ */
+
+const axios = require('axios');
+const { performance } = require('perf_hooks');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// --- Limite de Requisições por Host ---
+let intervaloPorHost = 250;
+const proximaRequisicaoPorHost = new Map();
+
+function definirIntervaloPorHost(ms) {
+  intervaloPorHost = ms;
+}
+
+function aguardarVezDoHost(hostname) {
+  const agora = Date.now();
+  const liberadoEm = Math.max(agora, proximaRequisicaoPorHost.get(hostname) || 0);
+  proximaRequisicaoPorHost.set(hostname, liberadoEm + intervaloPorHost);
+  return sleep(liberadoEm - agora);
+}
+
+// Instância do axios usada por todas as verificações HTTP. O instante de início é
+// registrado depois da espera pelo host, para não contaminar o tempo de resposta.
+const http = axios.create();
+http.interceptors.request.use(async config => {
+  await aguardarVezDoHost(new URL(config.url).hostname);
+  config.inicioRequisicao = performance.now();
+  return config;
+});
+
+// Opções de requisição para um site: timeout, cabeçalhos e autenticação configurados para ele, e o
+// sinal da verificação em andamento (a requisição é cancelada quando a verificação expira)
+function opcoesRequisicao(site, extras = {}) {
+  return {
+    timeout: site.timeout,
+    auth: site.auth || undefined,
+    signal: site.sinal || undefined,
+    ...extras,
+    headers: { ...site.headers, ...extras.headers }
+  };
+}
+
+const MAX_REDIRECIONAMENTOS = 10;
+
+/**
+ * Verifica se uma URL responde, seguindo os redirecionamentos um a um (HEAD, ou GET se o servidor
+ * não aceitar HEAD; o corpo não é baixado). Devolve o problema encontrado ("status 404", "loop de
+ * redirecionamento", "erro: ECONNREFUSED"...) ou null.
+ */
+async function verificarUrl(url, site) {
+  const visitados = new Set();
+  let atual = url;
+  for (let saltos = 0; saltos <= MAX_REDIRECIONAMENTOS; saltos++) {
+    if (visitados.has(atual)) return 'loop de redirecionamento';
+    visitados.add(atual);
+    let res;
+    try {
+      const requisicao = method => http.request({
+        url: atual,
+        method,
+        ...opcoesRequisicao(site, { maxRedirects: 0, validateStatus: () => true, responseType: 'stream' })
+      });
+      res = await requisicao('head');
+      if (res.status === 405 || res.status === 501) res = await requisicao('get');
+      if (res.data && typeof res.data.destroy === 'function') res.data.destroy();
+    } catch (e) {
+      return `erro: ${e.code || e.message}`;
+    }
+    if (res.status >= 300 && res.status < 400 && res.headers.location) {
+      try {
+        atual = new URL(res.headers.location, atual).href;
+      } catch (e) {
+        return 'redirecionamento inválido';
+      }
+      continue;
+    }
+    return res.status >= 400 ? `status ${res.status}` : null;
+  }
+  return `mais de ${MAX_REDIRECIONAMENTOS} redirecionamentos`;
+}
+
+module.exports = { http, sleep, definirIntervaloPorHost, opcoesRequisicao, verificarUrl };
@@ -0,0 +1,143 @@
+/**
+ * Métricas de desempenho coletadas no navegador durante a visita do screenshot (passo 16).
+ *
+ * Antes do carregamento a página recebe observadores de LCP, CLS e long tasks; as requisições são
+ * acompanhadas pelo protocolo do Chrome (tipo, status e bytes transferidos). Depois do carregamento
+ * são lidos TTFB, FCP, LCP, CLS, total blocking time (soma do que passa de 50 ms nas tarefas longas
+ * após o FCP), DOMContentLoaded e load, todos em ms desde o início da navegação.
+ *
+ * O score de desempenho (0 a 100) pondera as métricas como o Lighthouse: cada uma vale 100 até o
+ * limite "bom" do Core Web Vitals, cai para 50 no limite "ruim" e chega a 0 no dobro dele.
+ */
+
+// Perfis de rede aceitos em --throttling (nomes do PredefinedNetworkConditions do Puppeteer)
+const REDES = { 'slow-3g': 'Slow 3G', 'fast-3g': 'Fast 3G', 'slow-4g': 'Slow 4G', 'fast-4g': 'Fast 4G' };
+
+// Aparelho emulado com --mobile (KnownDevices do Puppeteer) e a lentidão de CPU aplicada junto
+const APARELHO_MOVEL = 'Moto G4';
+const CPU_MOVEL = 4;
+
+// [métrica, peso, limite bom, limite ruim]
+const LIMITES = [
+  ['fcp', 10, 1800, 3000],
+  ['lcp', 25, 2500, 4000],
+  ['tbt', 30, 200, 600],
+  ['cls', 25, 0.1, 0.25],
+  ['ttfb', 10, 800, 1800]
+];
+
+const TIPOS = {
+  Document: 'documento', Stylesheet: 'css', Script: 'script', Image: 'imagem', Font: 'fonte',
+  XHR: 'xhr', Fetch: 'xhr', Media: 'midia'
+};
+
+// Executado na página antes de qualquer script dela (page.evaluateOnNewDocument)
+function observarMetricas() {
+  const metricas = { lcp: null, cls: 0, tarefas: [] };
+  window.__verificaMetricas = metricas;
+  const observar = (type, aoReceber) => {
+    try {
+      new PerformanceObserver(lista => lista.getEntries().forEach(aoReceber)).observe({ type, buffered: true });
+    } catch (e) { /* tipo não suportado pelo navegador */ }
+  };
+  observar('largest-contentful-paint', entrada => { metricas.lcp = entrada.renderTime || entrada.loadTime || entrada.startTime; });
+  observar('layout-shift', entrada => { if (!entrada.hadRecentInput) metricas.cls += entrada.value; });
+  observar('longtask', entrada => { metricas.tarefas.push({ inicio: entrada.startTime, duracao: entrada.duration }); });
+}
+
+// Executado na página depois do carregamento (page.evaluate)
+function lerMetricas() {
+  const navegacao = performance.getEntriesByType('navigation')[0];
+  const pintura = performance.getEntriesByName('first-contentful-paint')[0];
+  const metricas = window.__verificaMetricas || { lcp: null, cls: 0, tarefas: [] };
+  const fcp = pintura ? pintura.startTime : null;
+  return {
+    ttfb: navegacao ? navegacao.responseStart : null,
+    fcp,
+    lcp: metricas.lcp,
+    cls: metricas.cls,
+    tbt: metricas.tarefas
+      .filter(tarefa => fcp === null || tarefa.inicio >= fcp)
+      .reduce((total, tarefa) => total + Math.max(0, tarefa.duracao - 50), 0),
+    domContentLoaded: navegacao ? navegacao.domContentLoadedEventEnd : null,
+    load: navegacao ? navegacao.loadEventEnd : null
+  };
+}
+
+/**
+ * Resume as respostas acompanhadas pelo protocolo do Chrome ([{ url, tipo, status, bytes }]) em
+ * { total, bytes, porTipo: { tipo: { quantidade, bytes } }, maiores: [5 maiores], falhas }.
+ */
+function resumirRequisicoes(respostas) {
+  const porTipo = {};
+  for (const { tipo, bytes } of respostas) {
+    const grupo = porTipo[tipo] || (porTipo[tipo] = { quantidade: 0, bytes: 0 });
+    grupo.quantidade++;
+    grupo.bytes += bytes;
+  }
+  return {
+    total: respostas.length,
+    bytes: respostas.reduce((total, resposta) => total + resposta.bytes, 0),
+    porTipo,
+    maiores: [...respostas].sort((a, b) => b.bytes - a.bytes).slice(0, 5).map(({ url, tipo, bytes }) => ({ url, tipo, bytes })),
+    falhas: respostas.filter(resposta => resposta.status >= 400).length
+  };
+}
+
+/**
+ * Prepara a coleta numa página ainda não navegada. Devolve uma função que, chamada após o
+ * carregamento, resolve para as métricas: { ttfb, fcp, lcp, cls, tbt, domContentLoaded, load,
+ * requisicoes: { total, bytes, porTipo, maiores, falhas } }.
+ */
+async function prepararColeta(page) {
+  await page.evaluateOnNewDocument(observarMetricas);
+  const cliente = await page.createCDPSession();
+  await cliente.send('Network.enable');
+  const respostas = new Map();
+  cliente.on('Network.responseReceived', ({ requestId, type, response }) => {
+    if (response.url.startsWith('data:')) return;
+    respostas.set(requestId, { url: response.url, tipo: TIPOS[type] || 'outro', status: response.status, bytes: 0 });
+  });
+  cliente.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+    if (respostas.has(requestId)) respostas.get(requestId).bytes = encodedDataLength;
+  });
+  return async () => {
+    const metricas = await page.evaluate(lerMetricas);
+    await cliente.detach().catch(() => {});
+    const arredondar = valor => (valor === null ? null : Math.round(valor));
+    return {
+      ttfb: arredondar(metricas.ttfb),
+      fcp: arredondar(metricas.fcp),
+      lcp: arredondar(metricas.lcp),
+      cls: Number(metricas.cls.toFixed(3)),
+      tbt: arredondar(metricas.tbt),
+      domContentLoaded: arredondar(metricas.domContentLoaded),
+      load: arredondar(metricas.load),
+      requisicoes: resumirRequisicoes([...respostas.values()])
+    };
+  };
+}
+
+// 100 até o limite bom, 50 no limite ruim, 0 no dobro do limite ruim (linear entre eles)
+function notaDaMetrica(valor, bom, ruim) {
+  if (valor <= bom) return 100;
+  if (valor <= ruim) return 100 - ((valor - bom) / (ruim - bom)) * 50;
+  return Math.max(0, 50 - ((valor - ruim) / ruim) * 50);
+}
+
+// "bom", "melhorar" ou "ruim", pelos limites do Core Web Vitals
+function classificarMetrica(metrica, valor) {
+  const [, , bom, ruim] = LIMITES.find(([nome]) => nome === metrica);
+  return valor <= bom ? 'bom' : valor <= ruim ? 'melhorar' : 'ruim';
+}
+
+// Score de desempenho (0 a 100) a partir das métricas; as que faltam ficam de fora da média
+function pontuarMetricas(metricas) {
+  const avaliadas = LIMITES.filter(([nome]) => typeof metricas[nome] === 'number');
+  if (!avaliadas.length) return 0;
+  const pesos = avaliadas.reduce((total, [, peso]) => total + peso, 0);
+  const soma = avaliadas.reduce((total, [nome, peso, bom, ruim]) => total + notaDaMetrica(metricas[nome], bom, ruim) * peso, 0);
+  return Math.round(soma / pesos);
+}
+
+module.exports = { REDES, APARELHO_MOVEL, CPU_MOVEL, prepararColeta, resumirRequisicoes, pontuarMetricas, classificarMetrica };
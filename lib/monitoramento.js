@@ -0,0 +1,55 @@
+/**
+ * Agendamento do modo de monitoramento contínuo (--watch).
+ *
+ * Cada verificação tem seu próprio intervalo: o "intervals" do arquivo de configuração
+ * (por id), senão o "intervalo" declarado pela verificação, senão --watch-interval.
+ * A cada rodada só rodam as verificações vencidas; as dependências que não venceram
+ * são atendidas pelos resultados guardados da rodada anterior.
+ */
+
+function intervaloDoCheck(check, opcoes) {
+  if (opcoes.intervals[check.id] !== undefined) return opcoes.intervals[check.id];
+  if (typeof check.intervalo === 'number') return check.intervalo;
+  return opcoes.watchInterval;
+}
+
+// Verificações que precisam rodar agora (nunca rodaram ou o intervalo já passou)
+function checksPendentes(checks, ultimaExecucao, agora, opcoes) {
+  return checks.filter(check => {
+    const ultima = ultimaExecucao[check.id];
+    return ultima === undefined || agora - ultima >= intervaloDoCheck(check, opcoes);
+  });
+}
+
+// Instante (ms) em que a próxima verificação de um site vence
+function proximaExecucao(checks, ultimaExecucao, opcoes) {
+  return Math.min(...checks.map(check => (ultimaExecucao[check.id] || 0) + intervaloDoCheck(check, opcoes)));
+}
+
+/**
+ * Compara os dados de duas rodadas de um site e devolve as transições relevantes:
+ * [{ tipo: 'status' | 'score', grave, mensagem }]. Score só é comparado quando cai pelo
+ * menos opcoes.scoreDrop pontos.
+ */
+function detectarTransicoes(anterior, atual, opcoes) {
+  const transicoes = [];
+  if (!anterior) return transicoes;
+  const status = online => (online ? 'ONLINE' : 'OFFLINE');
+  if (typeof atual.online === 'boolean' && anterior.online !== atual.online) {
+    transicoes.push({
+      tipo: 'status',
+      grave: !atual.online,
+      mensagem: `${status(anterior.online)} → ${status(atual.online)}`
+    });
+  }
+  if (anterior.score.total - atual.score.total >= opcoes.scoreDrop) {
+    transicoes.push({
+      tipo: 'score',
+      grave: true,
+      mensagem: `score caiu de ${anterior.score.total} para ${atual.score.total}`
+    });
+  }
+  return transicoes;
+}
+
+module.exports = { intervaloDoCheck, checksPendentes, proximaExecucao, detectarTransicoes };
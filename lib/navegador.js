@@ -0,0 +1,56 @@
+/**
+ * Navegador compartilhado pelas tarefas do Puppeteer.
+ *
+ * Um único Chrome é aberto na primeira visita e reaproveitado por todos os sites; cada visita
+ * ganha um contexto próprio (sem cookies nem cache de outras visitas), que é sempre fechado ao
+ * final, mesmo quando a página falha ou a verificação é cancelada. Se o Chrome cair, o próximo
+ * uso abre outro.
+ * fecharNavegador() encerra o Chrome ao fim de cada rodada e ao sair do script.
+ */
+
+const puppeteer = require('puppeteer');
+const { sleep } = require('./http');
+
+// Tempo máximo para o Chrome fechar; depois disso o Puppeteer encerra o processo ao sair
+const ESPERA_FECHAR = 5000;
+
+let navegador = null; // Promise<Browser> do Chrome aberto ou abrindo (null enquanto não houver um)
+
+function obterNavegador() {
+  if (!navegador) {
+    const abrindo = puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
+    // Se o Chrome cair ou não abrir, a próxima visita abre outro
+    const esquecer = () => { if (navegador === abrindo) navegador = null; };
+    abrindo.then(browser => browser.on('disconnected', esquecer), esquecer);
+    navegador = abrindo;
+  }
+  return navegador;
+}
+
+// Executa tarefa(page) numa página nova, num contexto isolado, e fecha o contexto no final; com o
+// sinal (AbortSignal) cancelado, o contexto é fechado na hora e a tarefa falha
+async function comPagina(tarefa, sinal) {
+  if (sinal && sinal.aborted) throw sinal.reason;
+  const browser = await obterNavegador();
+  const contexto = await browser.createBrowserContext();
+  const fechar = () => contexto.close().catch(() => {});
+  if (sinal) sinal.addEventListener('abort', fechar, { once: true });
+  try {
+    return await tarefa(await contexto.newPage());
+  } finally {
+    if (sinal) sinal.removeEventListener('abort', fechar);
+    await fechar();
+  }
+}
+
+async function fecharNavegador() {
+  if (!navegador) return;
+  const aberto = navegador;
+  navegador = null;
+  await Promise.race([
+    aberto.then(browser => browser.close()).catch(() => { /* o Chrome não chegou a abrir ou já caiu */ }),
+    sleep(ESPERA_FECHAR)
+  ]);
+}
+
+module.exports = { comPagina, fecharNavegador };
@@ -0,0 +1,100 @@
+/**
+ * Notificadores de alertas.
+ *
+ * Cada notificador é configurado em alerts.notifiers com um "type":
+ *  - webhook: POST do evento em JSON para "url" (com "headers" opcionais)
+ *  - slack:   POST { text } para a "url" de um Incoming Webhook do Slack (ou compatível)
+ *  - teams:   POST de um MessageCard para a "url" de um Incoming Webhook do Microsoft Teams
+ *  - email:   envio via SMTP ("host", "port", "secure", "auth", "from", "to"), usando nodemailer
+ *
+ * O evento enviado tem o formato:
+ * { tipo: 'alerta' | 'recuperacao', regra, severidade, url, mensagem, data }
+ */
+
+const axios = require('axios');
+
+const TIPOS = ['webhook', 'slack', 'teams', 'email'];
+
+const CORES_SEVERIDADE = { critico: 'D00000', alto: 'FF8C00', medio: 'FFD700', info: '2EB886' };
+
+function tituloDoEvento(evento) {
+  const prefixo = evento.tipo === 'recuperacao' ? 'RECUPERADO' : `ALERTA ${evento.severidade.toUpperCase()}`;
+  return `[${prefixo}] ${evento.url}`;
+}
+
+function textoDoEvento(evento) {
+  return `${tituloDoEvento(evento)}: ${evento.mensagem}`;
+}
+
+async function enviarWebhook(notificador, evento) {
+  await axios.post(notificador.url, evento, { timeout: 10000, headers: notificador.headers || {} });
+}
+
+async function enviarSlack(notificador, evento) {
+  await axios.post(notificador.url, { text: textoDoEvento(evento) }, { timeout: 10000 });
+}
+
+async function enviarTeams(notificador, evento) {
+  await axios.post(notificador.url, {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: tituloDoEvento(evento),
+    themeColor: evento.tipo === 'recuperacao' ? CORES_SEVERIDADE.info : CORES_SEVERIDADE[evento.severidade],
+    title: tituloDoEvento(evento),
+    text: `${evento.mensagem} (${evento.data})`
+  }, { timeout: 10000 });
+}
+
+// O transporte SMTP é criado uma vez por notificador
+const transportes = new WeakMap();
+
+async function enviarEmail(notificador, evento) {
+  if (!transportes.has(notificador)) {
+    const nodemailer = require('nodemailer');
+    transportes.set(notificador, nodemailer.createTransport({
+      host: notificador.host,
+      port: notificador.port || 25,
+      secure: Boolean(notificador.secure),
+      auth: notificador.auth
+    }));
+  }
+  await transportes.get(notificador).sendMail({
+    from: notificador.from,
+    to: notificador.to,
+    subject: tituloDoEvento(evento),
+    text: `${evento.mensagem}\n\nSite: ${evento.url}\nRegra: ${evento.regra}\nData: ${evento.data}`
+  });
+}
+
+const ENVIOS = { webhook: enviarWebhook, slack: enviarSlack, teams: enviarTeams, email: enviarEmail };
+
+function validarNotificador(notificador) {
+  if (!notificador || !TIPOS.includes(notificador.type)) {
+    throw new Error(`Notificador inválido: type deve ser ${TIPOS.join(', ')}`);
+  }
+  if (notificador.type === 'email') {
+    if (!notificador.host || !notificador.from || !notificador.to) {
+      throw new Error('Notificador email precisa de host, from e to');
+    }
+  } else if (!notificador.url) {
+    throw new Error(`Notificador ${notificador.type} precisa de url`);
+  }
+}
+
+/**
+ * Envia o evento para todos os notificadores. Falhas não interrompem os demais e são
+ * devolvidas como lista de mensagens.
+ */
+async function notificar(notificadores, evento) {
+  const falhas = [];
+  await Promise.all(notificadores.map(async notificador => {
+    try {
+      await ENVIOS[notificador.type](notificador, evento);
+    } catch (e) {
+      falhas.push(`${notificador.type}: ${e.message}`);
+    }
+  }));
+  return falhas;
+}
+
+module.exports = { notificar, validarNotificador, textoDoEvento };
@@ -0,0 +1,64 @@
+/**
+ * Pastas de saída de cada domínio (<outputDir>/<domínio>/, por padrão dominios/<domínio>/),
+ * nomes dos arquivos gravados nelas e abertura de um arquivo no visualizador do sistema.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+
+let baseFolder = 'dominios';
+
+function definirPastaSaida(pasta) {
+  baseFolder = pasta;
+}
+
+// Pasta de saída (criada se não existir), onde ficam as pastas dos domínios e os resumos
+function pastaSaida() {
+  if (!fs.existsSync(baseFolder)) fs.mkdirSync(baseFolder, { recursive: true });
+  return baseFolder;
+}
+
+function criarPastas(domain) {
+  const domainPath = path.join(pastaSaida(), domain);
+  if (!fs.existsSync(domainPath)) fs.mkdirSync(domainPath);
+  return domainPath;
+}
+
+// Prefixo dos arquivos de uma URL: "homepage" para a raiz, senão o caminho sem caracteres especiais
+function prefixoDaUrl(url) {
+  const { pathname, search } = new URL(url);
+  const caminho = (pathname + search).replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return caminho || 'homepage';
+}
+
+function carimboDeTempo(data = new Date()) {
+  return data.toISOString().slice(0, 19).replace(/:/g, '-');
+}
+
+// Screenshots principais (sem -diff, -fullpage...): <prefixo>-<data e hora>.png
+const SCREENSHOT = /-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2})\.png$/;
+
+// Screenshot mais recente do site: o da última verificação (dados públicos) ou, antes dela, o
+// último gravado na pasta print/ do domínio (null se não houver)
+function ultimoScreenshot(dominio, publicos) {
+  if (publicos && publicos.screenshotFile && fs.existsSync(publicos.screenshotFile)) return publicos.screenshotFile;
+  const pasta = path.join(criarPastas(dominio), 'print');
+  if (!fs.existsSync(pasta)) return null;
+  const arquivos = fs.readdirSync(pasta)
+    .filter(arquivo => SCREENSHOT.test(arquivo))
+    .sort((a, b) => a.match(SCREENSHOT)[1].localeCompare(b.match(SCREENSHOT)[1]));
+  return arquivos.length ? path.join(pasta, arquivos[arquivos.length - 1]) : null;
+}
+
+function abrirArquivo(arquivo) {
+  if (process.platform === "win32") {
+    exec(`start "" "${arquivo}"`);
+  } else if (process.platform === "darwin") {
+    exec(`open "${arquivo}"`);
+  } else {
+    exec(`xdg-open "${arquivo}"`);
+  }
+}
+
+module.exports = { criarPastas, definirPastaSaida, pastaSaida, prefixoDaUrl, carimboDeTempo, ultimoScreenshot, abrirArquivo };
@@ -0,0 +1,202 @@
+/**
+ * Score de saúde do site (0 a 100), calculado a partir dos resultados de todas as verificações.
+ *
+ * Cada regra tem um peso (configurável em "scoreWeights", por id da regra) e avalia os dados do
+ * site com um aproveitamento de 0 a 1 e o motivo. Regras cujos dados não existem (verificação
+ * desativada, site sem WordPress para as de WordPress) ficam de fora, assim como as que dependem
+ * da resposta do site quando ele está OFFLINE.
+ * O total é a soma dos pontos obtidos sobre a soma dos pesos avaliados, em escala de 100; cada
+ * categoria tem seu próprio percentual.
+ */
+
+const CATEGORIAS = {
+  disponibilidade: 'Disponibilidade',
+  desempenho: 'Desempenho',
+  seguranca: 'Segurança',
+  seo: 'SEO',
+  wordpress: 'WordPress'
+};
+
+// Desconto por severidade (fração do peso da regra) em vulnerabilidades e exposições
+const DESCONTOS = { critical: 1, high: 0.5, medium: 0.25, low: 0.1 };
+
+const descontoPorSeveridade = itens =>
+  Math.max(0, 1 - itens.reduce((total, item) => total + DESCONTOS[item.severidade], 0));
+
+const listarSeveridades = itens => itens.map(item => item.id).join(', ');
+
+const ehWordPress = dados => dados.wpFeatures
+  && (dados.wpFeatures.wp_content || dados.wpFeatures.wp_includes || dados.wpFeatures.meta_generator);
+
+/**
+ * Regras: { id, mesmoOffline, categoria, rotulo, peso (padrão),
+ *           avaliar(dados, url) -> { aproveitamento, motivo } | null } (null = regra não avaliada).
+ */
+const REGRAS = [
+  {
+    id: 'online', mesmoOffline: true, categoria: 'disponibilidade', rotulo: 'Site online', peso: 30,
+    avaliar: ({ online, disponibilidade }) => {
+      if (typeof online !== 'boolean') return null;
+      if (disponibilidade && disponibilidade.situacao === 'degradado') return { aproveitamento: 0.5, motivo: `DEGRADADO (${disponibilidade.motivo})` };
+      const motivo = disponibilidade && disponibilidade.situacao !== 'online' ? ` (${disponibilidade.motivo})` : '';
+      return { aproveitamento: online ? 1 : 0, motivo: `${online ? 'ONLINE' : 'OFFLINE'}${motivo}` };
+    }
+  },
+  {
+    id: 'dns', mesmoOffline: true, categoria: 'disponibilidade', rotulo: 'Resolução DNS', peso: 5,
+    avaliar: ({ dnsIps }) => (Array.isArray(dnsIps)
+      ? { aproveitamento: dnsIps.length ? 1 : 0, motivo: dnsIps.length ? dnsIps.join(', ') : 'não resolve' } : null)
+  },
+  {
+    id: 'ping', mesmoOffline: true, categoria: 'disponibilidade', rotulo: 'Ping', peso: 5,
+    avaliar: ({ pingSuccess }) => (typeof pingSuccess === 'boolean'
+      ? { aproveitamento: pingSuccess ? 1 : 0, motivo: pingSuccess ? 'responde' : 'sem resposta' } : null)
+  },
+  {
+    id: 'redirecionamentos', categoria: 'desempenho', rotulo: 'Redirecionamentos', peso: 10,
+    avaliar: ({ redirChain }) => {
+      if (!Array.isArray(redirChain)) return null;
+      const total = redirChain.length;
+      return { aproveitamento: total === 0 ? 1 : total <= 2 ? 0.5 : 0, motivo: `${total} redirecionamento(s)` };
+    }
+  },
+  {
+    id: 'tempoResposta', categoria: 'desempenho', rotulo: 'Tempo de resposta', peso: 10,
+    avaliar: ({ respTime }) => {
+      if (respTime === undefined) return null;
+      if (respTime === null) return { aproveitamento: 0, motivo: 'sem resposta' };
+      return { aproveitamento: respTime < 1 ? 1 : respTime < 3 ? 0.5 : 0, motivo: `${respTime.toFixed(2)} s` };
+    }
+  },
+  {
+    id: 'desempenho', categoria: 'desempenho', rotulo: 'Desempenho', peso: 10,
+    avaliar: ({ performanceScore, webVitals }) => (typeof performanceScore === 'number'
+      ? { aproveitamento: performanceScore / 100, motivo: `${performanceScore}% (${webVitals ? 'métricas do navegador' : 'tempo de resposta'})` } : null)
+  },
+  {
+    id: 'ssl', mesmoOffline: true, categoria: 'seguranca', rotulo: 'Certificado SSL', peso: 10,
+    avaliar: ({ sslValid, sslDetalhes }, url) => {
+      if (!url.toLowerCase().startsWith('https')) return { aproveitamento: 0.5, motivo: 'site sem HTTPS' };
+      if (typeof sslValid !== 'boolean') return null;
+      if (!sslDetalhes) return { aproveitamento: 0, motivo: 'certificado indisponível' };
+      // Certificado válido vale 60%; sem TLS 1.0/1.1, com HSTS e longe de expirar completam
+      const problemas = [];
+      let aproveitamento = sslValid ? 0.6 : 0;
+      if (!sslValid) problemas.push('inválido');
+      if (!sslDetalhes.tlsLegado.length) aproveitamento += 0.2; else problemas.push(`aceita ${sslDetalhes.tlsLegado.join('/')}`);
+      if (sslDetalhes.hsts) aproveitamento += 0.1; else problemas.push('sem HSTS');
+      if (sslDetalhes.diasParaExpirar > 14) aproveitamento += 0.1; else problemas.push(`expira em ${sslDetalhes.diasParaExpirar} dias`);
+      return { aproveitamento, motivo: problemas.length ? problemas.join(', ') : 'válido' };
+    }
+  },
+  {
+    id: 'cabecalhos', categoria: 'seguranca', rotulo: 'Cabeçalhos de segurança', peso: 10,
+    avaliar: ({ cabecalhos }) => (cabecalhos
+      ? { aproveitamento: cabecalhos.pontos / 100, motivo: `nota ${cabecalhos.nota}` } : null)
+  },
+  {
+    id: 'exposicoes', categoria: 'seguranca', rotulo: 'Exposições de segurança', peso: 10,
+    avaliar: ({ exposicoes }) => (Array.isArray(exposicoes)
+      ? { aproveitamento: descontoPorSeveridade(exposicoes), motivo: exposicoes.length ? listarSeveridades(exposicoes) : 'nenhuma' } : null)
+  },
+  {
+    id: 'conteudoSuspeito', categoria: 'seguranca', rotulo: 'Alterações suspeitas', peso: 5,
+    avaliar: ({ alteracoes }) => {
+      if (alteracoes === undefined) return null;
+      const suspeitos = alteracoes ? alteracoes.suspeitos.length : 0;
+      return { aproveitamento: suspeitos ? 0 : 1, motivo: suspeitos ? `${suspeitos} trecho(s) suspeito(s)` : 'nenhuma' };
+    }
+  },
+  {
+    id: 'contentType', categoria: 'seo', rotulo: 'Content-Type HTML', peso: 5,
+    avaliar: ({ contentType }) => (typeof contentType === 'string'
+      ? { aproveitamento: contentType.toLowerCase().includes('text/html') ? 1 : 0, motivo: contentType } : null)
+  },
+  {
+    id: 'titulo', categoria: 'seo', rotulo: 'Título da página', peso: 5,
+    avaliar: ({ pageTitle }) => (typeof pageTitle === 'string'
+      ? { aproveitamento: pageTitle !== 'N/A' ? 1 : 0, motivo: pageTitle !== 'N/A' ? 'presente' : 'ausente' } : null)
+  },
+  {
+    id: 'erros', categoria: 'seo', rotulo: 'Erros no conteúdo', peso: 5,
+    avaliar: ({ erros }) => (Array.isArray(erros)
+      ? { aproveitamento: erros.length ? 0 : 1, motivo: erros.length ? erros.join(', ') : 'nenhum' } : null)
+  },
+  {
+    id: 'robots', categoria: 'seo', rotulo: 'robots.txt', peso: 5,
+    avaliar: ({ robots, robotsDetalhes }) => {
+      if (typeof robots !== 'boolean') return null;
+      if (robotsDetalhes && robotsDetalhes.bloqueiaTudo) return { aproveitamento: 0, motivo: 'bloqueia todo o site (Disallow: /)' };
+      return { aproveitamento: robots ? 1 : 0, motivo: robots ? 'encontrado' : 'não encontrado' };
+    }
+  },
+  {
+    id: 'sitemap', categoria: 'seo', rotulo: 'sitemap.xml', peso: 5,
+    avaliar: ({ sitemap }) => (typeof sitemap === 'boolean'
+      ? { aproveitamento: sitemap ? 1 : 0, motivo: sitemap ? 'encontrado' : 'não encontrado' } : null)
+  },
+  {
+    id: 'metaRefresh', categoria: 'seo', rotulo: 'Sem meta refresh', peso: 5,
+    avaliar: ({ metaRefresh }) => (typeof metaRefresh === 'boolean'
+      ? { aproveitamento: metaRefresh ? 0 : 1, motivo: metaRefresh ? 'meta refresh detectado' : 'não detectado' } : null)
+  },
+  {
+    // noindex zera a regra; cada problema de SEO on-page desconta 10%
+    id: 'seoOnPage', categoria: 'seo', rotulo: 'SEO on-page', peso: 10,
+    avaliar: ({ seo }) => {
+      if (!seo) return null;
+      if (seo.indexacao.noindex) return { aproveitamento: 0, motivo: 'noindex' };
+      return { aproveitamento: Math.max(0, 1 - seo.problemas.length * 0.1), motivo: seo.problemas.length ? `${seo.problemas.length} problema(s)` : 'nenhum problema' };
+    }
+  },
+  {
+    id: 'vulnerabilidades', categoria: 'wordpress', rotulo: 'Vulnerabilidades conhecidas', peso: 15,
+    avaliar: dados => (ehWordPress(dados) && Array.isArray(dados.vulnerabilidades)
+      ? { aproveitamento: descontoPorSeveridade(dados.vulnerabilidades),
+          motivo: dados.vulnerabilidades.length ? listarSeveridades(dados.vulnerabilidades) : 'nenhuma' } : null)
+  },
+  {
+    id: 'restApi', categoria: 'wordpress', rotulo: 'REST API (/wp-json/)', peso: 5,
+    avaliar: dados => (ehWordPress(dados)
+      ? { aproveitamento: dados.wpFeatures.wp_json ? 1 : 0, motivo: dados.wpFeatures.wp_json ? 'acessível' : 'indisponível' } : null)
+  }
+];
+
+const PESOS_PADRAO = Object.fromEntries(REGRAS.map(regra => [regra.id, regra.peso]));
+
+const arredondar = valor => Math.round(valor * 10) / 10;
+
+/**
+ * Calcula o score de um site. Devolve
+ * { total, disponibilidade, desempenho, seguranca, seo, wordpress, detalhes: [...] }, onde cada
+ * categoria é um percentual (null se nenhuma regra dela foi avaliada) e cada detalhe é
+ * { regra, categoria, rotulo, pontos, maximo, motivo } com pontos na escala do total.
+ */
+function computeScore(dados, url, pesos = {}) {
+  const avaliadas = REGRAS
+    .filter(regra => dados.online !== false || regra.mesmoOffline)
+    .map(regra => ({ regra, peso: pesos[regra.id] !== undefined ? pesos[regra.id] : regra.peso, resultado: regra.avaliar(dados, url) }))
+    .filter(({ peso, resultado }) => resultado && peso > 0);
+  const somaPesos = avaliadas.reduce((total, { peso }) => total + peso, 0);
+  const escala = somaPesos ? 100 / somaPesos : 0;
+
+  const detalhes = avaliadas.map(({ regra, peso, resultado }) => ({
+    regra: regra.id,
+    categoria: regra.categoria,
+    rotulo: regra.rotulo,
+    pontos: arredondar(resultado.aproveitamento * peso * escala),
+    maximo: arredondar(peso * escala),
+    motivo: resultado.motivo
+  }));
+
+  const score = { total: Math.round(detalhes.reduce((total, d) => total + d.pontos, 0)) };
+  for (const categoria of Object.keys(CATEGORIAS)) {
+    const daCategoria = detalhes.filter(d => d.categoria === categoria);
+    const maximo = daCategoria.reduce((total, d) => total + d.maximo, 0);
+    score[categoria] = maximo ? Math.round((daCategoria.reduce((total, d) => total + d.pontos, 0) / maximo) * 100) : null;
+  }
+  score.detalhes = detalhes;
+  return score;
+}
+
+module.exports = { computeScore, CATEGORIAS, PESOS_PADRAO };
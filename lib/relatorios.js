@@ -0,0 +1,308 @@
+/**
+ * Relatórios HTML e PDF para enviar aos clientes (--reports html,pdf).
+ *
+ * Ao fim de cada rodada é gravado um relatório por site verificado, em
+ * <outputDir>/<domínio>/relatorios/<prefixo>-<data e hora>.html, e um resumo com todos os sites
+ * do arquivo de links em <outputDir>/resumo-<data e hora>.html. O HTML é autocontido (estilos e
+ * screenshot embutidos) e o PDF é o mesmo HTML impresso pelo Chrome compartilhado (veja
+ * lib/navegador.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { criarPastas, pastaSaida, prefixoDaUrl, carimboDeTempo } = require('./pastas');
+const { comPagina } = require('./navegador');
+const { CATEGORIAS } = require('./pontuacao');
+const { SEVERIDADES, porSeveridade } = require('./severidades');
+
+const ROTULOS_SEVERIDADE = { critical: 'Crítica', high: 'Alta', medium: 'Média', low: 'Baixa' };
+
+const ESTILO = `
+  body { font-family: Arial, sans-serif; color: #333; margin: 0 auto; padding: 24px; max-width: 960px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 17px; border-bottom: 2px solid #0073aa; padding-bottom: 4px; margin-top: 28px; }
+  .data { color: #777; font-size: 13px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; margin-top: 8px; }
+  th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #e2e2e2; vertical-align: top; }
+  th { background: #f5f5f5; }
+  pre { white-space: pre-wrap; margin: 0; font-size: 12px; }
+  .selo { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; font-weight: bold; color: #fff; }
+  .ok { background: #1e8e3e; } .parcial { background: #e37400; } .falha { background: #d93025; } .neutro { background: #888; }
+  .score { font-size: 40px; font-weight: bold; }
+  .verde { color: #1e8e3e; } .amarelo { color: #e37400; } .vermelho { color: #d93025; }
+  .destaque { background: #d93025; color: #fff; padding: 8px 12px; font-weight: bold; margin-top: 12px; }
+  .resumo td.numero { text-align: right; }
+  img { max-width: 100%; border: 1px solid #ccc; margin-top: 8px; }
+  .quebra { page-break-inside: avoid; }
+`;
+
+function escaparHtml(valor) {
+  return String(valor === null || valor === undefined ? '-' : valor)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Os formatadores das verificações usam as cores do terminal (chalk)
+const semCores = texto => String(texto).replace(/\u001b\[[0-9;]*m/g, '');
+
+const selo = (classe, texto) => `<span class="selo ${classe}">${escaparHtml(texto)}</span>`;
+
+// Cliente, tags, ambiente e responsável do inventário, em uma linha (vazio se não houver)
+function metadadosDoSite(site) {
+  const partes = [
+    site.client && `Cliente: ${site.client}`,
+    site.tags && site.tags.length && `Tags: ${site.tags.join(', ')}`,
+    site.environment && `Ambiente: ${site.environment}`,
+    site.owner && `Responsável: ${site.owner}`
+  ].filter(Boolean);
+  return `${site.critical ? `${selo('falha', 'Crítico')} ` : ''}${escaparHtml(partes.join(' | '))}`;
+}
+
+// Selo do status: ONLINE, DEGRADADO (no ar, mas com problema) ou OFFLINE
+function seloDoStatus({ online, disponibilidade }) {
+  if (disponibilidade && disponibilidade.situacao === 'degradado') return selo('parcial', 'DEGRADADO');
+  return online ? selo('ok', 'ONLINE') : selo('falha', 'OFFLINE');
+}
+
+// Mesmas faixas da interface no terminal: acima de 90 verde, acima de 40 amarelo
+const corDoScore = valor => (valor > 90 ? 'verde' : valor > 40 ? 'amarelo' : 'vermelho');
+
+function seloDaRegra({ pontos, maximo }) {
+  if (pontos >= maximo) return selo('ok', 'OK');
+  return pontos > 0 ? selo('parcial', 'Parcial') : selo('falha', 'Falha');
+}
+
+function pagina(titulo, corpo) {
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="UTF-8">
+<title>${escaparHtml(titulo)}</title>
+<style>${ESTILO}</style>
+</head>
+<body>
+${corpo}
+</body>
+</html>
+`;
+}
+
+function secaoScore(score) {
+  const categorias = Object.entries(CATEGORIAS)
+    .filter(([categoria]) => score[categoria] !== null)
+    .map(([categoria, rotulo]) => `<td>${escaparHtml(rotulo)}<br><strong class="${corDoScore(score[categoria])}">${score[categoria]}%</strong></td>`);
+  const regras = score.detalhes.map(d => `<tr><td>${seloDaRegra(d)}</td><td>${escaparHtml(CATEGORIAS[d.categoria])}</td>
+<td>${escaparHtml(d.rotulo)}</td><td>${escaparHtml(d.motivo)}</td><td>${d.pontos}/${d.maximo}</td></tr>`);
+  return `<h2>Score</h2>
+<div class="score ${corDoScore(score.total)}">${score.total}/100</div>
+<table><tr>${categorias.join('')}</tr></table>
+<table class="quebra">
+<tr><th></th><th>Categoria</th><th>Regra</th><th>Motivo</th><th>Pontos</th></tr>
+${regras.join('\n')}
+</table>`;
+}
+
+function secaoSsl(url, dados) {
+  if (!url.toLowerCase().startsWith('https')) return `<h2>Certificado SSL</h2>\n<p>${selo('falha', 'Sem HTTPS')} O site não usa HTTPS.</p>`;
+  const d = dados.sslDetalhes;
+  if (!d) return `<h2>Certificado SSL</h2>\n<p>${selo(dados.sslValid === false ? 'falha' : 'neutro', 'N/A')} Não foi possível ler o certificado.</p>`;
+  const linhas = [
+    ['Situação', dados.sslValid ? selo('ok', 'Válido') : selo('falha', 'Inválido')],
+    ['Expira em', `${escaparHtml(dados.sslExpiry)} (${d.diasParaExpirar} dias)`],
+    ['Emissor', escaparHtml(d.emissor)],
+    ['Chave', escaparHtml(`${d.algoritmo}${d.bits ? ` ${d.bits} bits` : ''}`)],
+    ['Protocolo e cifra', escaparHtml(`${d.protocolo} ${d.cifra}`)],
+    ['Protocolos obsoletos', d.tlsLegado.length ? `${selo('falha', 'Aceitos')} ${escaparHtml(d.tlsLegado.join(', '))}` : selo('ok', 'Recusados')],
+    ['HSTS', d.hsts ? `${selo('ok', 'Presente')} ${escaparHtml(d.hsts)}` : selo('parcial', 'Ausente')]
+  ];
+  return `<h2>Certificado SSL</h2>
+<table class="quebra">${linhas.map(([rotulo, valor]) => `<tr><th>${rotulo}</th><td>${valor}</td></tr>`).join('\n')}</table>`;
+}
+
+function listaDeAchados(titulo, itens, descrever) {
+  if (!itens.length) return `<p>${selo('ok', 'Nenhuma')} ${titulo}</p>`;
+  const ordenados = [...itens].sort(porSeveridade);
+  return `<table class="quebra"><tr><th>Severidade</th><th>${titulo}</th></tr>
+${ordenados.map(item => `<tr><td>${selo(SEVERIDADES.indexOf(item.severidade) < 2 ? 'falha' : 'parcial', ROTULOS_SEVERIDADE[item.severidade])}</td><td>${descrever(item)}</td></tr>`).join('\n')}
+</table>`;
+}
+
+function secaoWordPress(dados) {
+  if (!dados.wpInventario) return '<h2>WordPress</h2>\n<p>WordPress não detectado.</p>';
+  const { core, tema, plugins } = dados.wpInventario;
+  const componentes = [
+    `<tr><td>Core</td><td>WordPress</td><td>${escaparHtml(core.versao || 'não identificada')}</td></tr>`,
+    tema && `<tr><td>Tema</td><td>${escaparHtml(tema.nome || tema.slug)}${tema.pai ? ` (filho de ${escaparHtml(tema.pai)})` : ''}</td><td>${escaparHtml(tema.versao || 'desconhecida')}</td></tr>`,
+    ...plugins.map(plugin => `<tr><td>Plugin</td><td>${escaparHtml(plugin.slug)}</td><td>${escaparHtml(plugin.versao || 'desconhecida')}</td></tr>`)
+  ].filter(Boolean);
+  const vulnerabilidades = !Array.isArray(dados.vulnerabilidades)
+    ? `<p>${selo('neutro', 'N/A')} Vulnerabilidades conhecidas não verificadas (sem base --vuln-db)</p>`
+    : listaDeAchados('Vulnerabilidades conhecidas', dados.vulnerabilidades, v =>
+      `${escaparHtml(v.id)} - ${escaparHtml(v.tipo === 'core' ? 'WordPress' : v.slug)} ${escaparHtml(v.versao)}${v.corrigidaEm ? ` (corrigida em ${escaparHtml(v.corrigidaEm)})` : ''}${v.resumo ? `<br>${escaparHtml(v.resumo)}` : ''}`);
+  const exposicoes = listaDeAchados('Exposições de segurança', dados.exposicoes || [], e =>
+    `${escaparHtml(e.titulo)}${e.detalhe ? `<br>${escaparHtml(e.detalhe)}` : ''}`);
+  return `<h2>WordPress</h2>
+<table class="quebra"><tr><th>Tipo</th><th>Componente</th><th>Versão</th></tr>
+${componentes.join('\n')}
+</table>
+${vulnerabilidades}
+${exposicoes}`;
+}
+
+function secaoSeo(dados) {
+  const { seo } = dados;
+  if (!seo) return '';
+  const aviso = seo.indexacao.noindex
+    ? '<div class="destaque">NOINDEX: a página inicial está bloqueada para os buscadores.</div>'
+    : '';
+  const item = (rotulo, ok, valor) => `<tr><td>${ok ? selo('ok', 'OK') : selo('falha', 'Falha')}</td><th>${rotulo}</th><td>${escaparHtml(valor)}</td></tr>`;
+  const linhas = [
+    item('Indexação', !seo.indexacao.noindex, [seo.indexacao.meta, seo.indexacao.cabecalho].filter(Boolean).join('; ') || 'liberada'),
+    item('Título', seo.titulo && !seo.problemas.some(p => p.startsWith('título')), seo.titulo ? `${seo.titulo.texto} (${seo.titulo.tamanho} caracteres)` : 'ausente'),
+    item('Meta description', seo.descricao && !seo.problemas.some(p => p.startsWith('meta description')), seo.descricao ? `${seo.descricao.texto} (${seo.descricao.tamanho} caracteres)` : 'ausente'),
+    item('Canonical', !seo.canonical.problema, seo.canonical.problema ? `${seo.canonical.url || ''} (${seo.canonical.problema})` : seo.canonical.url),
+    item('H1', seo.h1 === 1, seo.h1),
+    item('Open Graph', seo.openGraph.length === 4, seo.openGraph.join(', ') || 'nenhuma tag'),
+    item('Imagens com alt', !seo.imagens.semAlt, `${seo.imagens.total - seo.imagens.semAlt} de ${seo.imagens.total}`),
+    item('Dados estruturados (JSON-LD)', !seo.jsonLd.invalidos, seo.jsonLd.blocos ? seo.jsonLd.tipos.join(', ') || `${seo.jsonLd.blocos} bloco(s)` : 'nenhum')
+  ];
+  const problemas = seo.problemas.length
+    ? `<p>Problemas encontrados:</p><ul>${seo.problemas.map(p => `<li>${escaparHtml(p)}</li>`).join('')}</ul>`
+    : `<p>${selo('ok', 'OK')} Nenhum problema de SEO on-page.</p>`;
+  return `<h2>SEO</h2>
+${aviso}
+<table class="quebra">${linhas.join('\n')}</table>
+${problemas}`;
+}
+
+// Texto de cada verificação ativa, como nos detalhes do site na interface
+function secaoVerificacoes(checks, dados, ctx) {
+  const linhas = checks.map(check => {
+    let texto;
+    try {
+      texto = semCores(check.formatar(dados, ctx)).replace(/^\n/, '');
+    } catch (e) {
+      texto = `Não foi possível formatar (${e.message})`;
+    }
+    return `<tr><th>${escaparHtml(check.rotulo)}</th><td><pre>${escaparHtml(texto)}</pre></td></tr>`;
+  });
+  return `<h2>Todas as verificações</h2>\n<table>${linhas.join('\n')}</table>`;
+}
+
+function secaoScreenshot(dados) {
+  if (!dados.screenshotFile || !fs.existsSync(dados.screenshotFile)) return '';
+  const imagem = fs.readFileSync(dados.screenshotFile).toString('base64');
+  return `<h2>Screenshot</h2>\n<img src="data:image/png;base64,${imagem}" alt="Screenshot da página inicial">`;
+}
+
+/**
+ * HTML do relatório de um site. Recebe o site, os dados públicos da verificação (os mesmos do
+ * relatório headless), as verificações ativas, as opções e os motivos de falha do site
+ * (offline, score abaixo do mínimo), que definem o selo de aprovado ou reprovado.
+ */
+function relatorioSite(site, dados, checks, opcoes, motivos, data = new Date()) {
+  const { url } = site;
+  const ctx = { url, dominio: new URL(url).hostname, site, opcoes };
+  const situacao = motivos.length
+    ? `${selo('falha', 'Reprovado')} ${escaparHtml(motivos.join('; '))}`
+    : selo('ok', 'Aprovado');
+  const corpo = `<h1>${escaparHtml(url)}</h1>
+<div class="data">Verificado em ${escaparHtml(data.toLocaleString('pt-BR'))}</div>
+${metadadosDoSite(site) ? `<p>${metadadosDoSite(site)}</p>` : ''}
+<p>${seloDoStatus(dados)} ${situacao}</p>
+${dados.disponibilidade && dados.disponibilidade.situacao === 'degradado' ? `<p>${escaparHtml(dados.disponibilidade.motivo)}</p>` : ''}
+${secaoScore(dados.score)}
+${secaoSsl(url, dados)}
+${secaoSeo(dados)}
+${secaoWordPress(dados)}
+${secaoScreenshot(dados)}
+${secaoVerificacoes(checks, dados, ctx)}`;
+  return pagina(`Relatório - ${url}`, corpo);
+}
+
+// HTML do resumo de todos os sites: resultados = [{ site, dados, motivos }]
+function relatorioResumo(resultados, data = new Date()) {
+  const verificados = resultados.filter(({ dados }) => dados);
+  const online = verificados.filter(({ dados }) => dados.online).length;
+  const media = verificados.length
+    ? Math.round(verificados.reduce((total, { dados }) => total + dados.score.total, 0) / verificados.length)
+    : null;
+  const linhas = resultados.map(({ site, dados, motivos }) => {
+    if (!dados) return `<tr><td>${escaparHtml(site.url)}</td><td colspan="7">${selo('neutro', 'Não verificado')}</td></tr>`;
+    const ssl = !site.url.toLowerCase().startsWith('https') ? selo('falha', 'Sem HTTPS')
+      : dados.sslValid ? selo('ok', 'Válido') : selo('falha', 'Inválido');
+    const achados = (dados.vulnerabilidades || []).length + (dados.exposicoes || []).length;
+    return `<tr>
+<td>${escaparHtml(site.url)}${metadadosDoSite(site) ? `<div class="data">${metadadosDoSite(site)}</div>` : ''}</td>
+<td>${seloDoStatus(dados)}</td>
+<td class="numero"><strong class="${corDoScore(dados.score.total)}">${dados.score.total}</strong></td>
+<td>${ssl}</td>
+<td>${dados.wpInventario ? escaparHtml(dados.wpInventario.core.versao || 'versão ?') : '-'}</td>
+<td class="numero">${achados ? selo('falha', achados) : Array.isArray(dados.vulnerabilidades) ? selo('ok', 0) : selo('neutro', 'N/A')}</td>
+<td>${dados.seo && dados.seo.indexacao.noindex ? selo('falha', 'NOINDEX') : selo('ok', 'OK')}</td>
+<td>${motivos.length ? `${selo('falha', 'Reprovado')}<br>${escaparHtml(motivos.join('; '))}` : selo('ok', 'Aprovado')}</td>
+</tr>`;
+  });
+  const corpo = `<h1>Resumo da verificação de sites</h1>
+<div class="data">Gerado em ${escaparHtml(data.toLocaleString('pt-BR'))}</div>
+<p>${resultados.length} site(s): ${online} ONLINE, ${verificados.length - online} OFFLINE${media === null ? '' : `, score médio <strong class="${corDoScore(media)}">${media}</strong>`}.</p>
+<table class="resumo">
+<tr><th>Site</th><th>Status</th><th>Score</th><th>SSL</th><th>WordPress</th><th>Vulnerabilidades e exposições</th><th>SEO</th><th>Resultado</th></tr>
+${linhas.join('\n')}
+</table>`;
+  return pagina('Resumo da verificação de sites', corpo);
+}
+
+async function gravarPdf(html, arquivo) {
+  await comPagina(async page => {
+    await page.setContent(html, { waitUntil: 'load' });
+    await page.pdf({ path: arquivo, format: 'A4', printBackground: true, margin: { top: '12mm', bottom: '12mm', left: '10mm', right: '10mm' } });
+  });
+}
+
+// Grava o HTML e, se pedido, o PDF; devolve os arquivos gravados e os erros de PDF
+async function gravar(html, base, formatos) {
+  const arquivos = [];
+  const erros = [];
+  if (formatos.includes('html')) {
+    fs.writeFileSync(`${base}.html`, html);
+    arquivos.push(`${base}.html`);
+  }
+  if (formatos.includes('pdf')) {
+    try {
+      await gravarPdf(html, `${base}.pdf`);
+      arquivos.push(`${base}.pdf`);
+    } catch (e) {
+      erros.push(`${path.basename(base)}.pdf: ${e.message.split('\n')[0]}`);
+    }
+  }
+  return { arquivos, erros };
+}
+
+/**
+ * Grava os relatórios de uma rodada nos formatos de opcoes.reports. Recebe os sites verificados
+ * na rodada ([{ site, dados, motivos }]) e todos os sites do arquivo de links, com o último
+ * resultado de cada um (dados null se ainda não foi verificado), para o resumo.
+ * Devolve { arquivos, erros }.
+ */
+async function gravarRelatorios(verificados, todos, checks, opcoes) {
+  const data = new Date();
+  const carimbo = carimboDeTempo(data);
+  const resultado = { arquivos: [], erros: [] };
+  const juntar = ({ arquivos, erros }) => {
+    resultado.arquivos.push(...arquivos);
+    resultado.erros.push(...erros);
+  };
+  for (const { site, dados, motivos } of verificados) {
+    const pasta = path.join(criarPastas(new URL(site.url).hostname), 'relatorios');
+    if (!fs.existsSync(pasta)) fs.mkdirSync(pasta);
+    const html = relatorioSite(site, dados, checks, opcoes, motivos, data);
+    juntar(await gravar(html, path.join(pasta, `${prefixoDaUrl(site.url)}-${carimbo}`), opcoes.reports));
+  }
+  juntar(await gravar(relatorioResumo(todos, data), path.join(pastaSaida(), `resumo-${carimbo}`), opcoes.reports));
+  return resultado;
+}
+
+module.exports = { gravarRelatorios };
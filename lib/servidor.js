@@ -0,0 +1,103 @@
+/**
+ * Painel web e API REST com os resultados (opcional, ative com --serve <porta>).
+ *
+ * Rotas:
+ *  - GET  /                                 painel HTML (painel/index.html)
+ *  - GET  /api/sites                        último resultado de cada site
+ *  - GET  /api/sites/:dominio/runs          histórico de execuções (?url= filtra um site, ?limit= o total)
+ *  - GET  /api/sites/:dominio/screenshot    screenshot mais recente (?url= escolhe o site)
+ *  - POST /api/sites/:dominio/recheck       verifica de novo os sites do domínio (?url= escolhe um)
+ *
+ * O domínio é o nome da pasta em dominios/ (o hostname do site) e só são aceitos os domínios do
+ * arquivo de links. O servidor não tem autenticação: por padrão escuta só em 127.0.0.1
+ * (--serve-host muda o endereço).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ultimoScreenshot } = require('./pastas');
+const { lerHistorico } = require('./historico');
+const { metadadosDoSite } = require('./sites');
+
+const PAINEL = path.join(__dirname, '..', 'painel', 'index.html');
+
+function responderJson(res, status, corpo) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(corpo));
+}
+
+const dominioDe = url => new URL(url).hostname;
+
+/**
+ * Inicia o servidor. Recebe { porta, host, sites,
+ * estadoDoSite(url) -> { publicos, verificando, ultimaVerificacao }, reverificar(site) -> boolean }
+ * (false se o site já está sendo verificado) e devolve o http.Server depois que ele estiver escutando.
+ */
+function iniciarServidor({ porta, host, sites, estadoDoSite, reverificar }) {
+  const resumo = site => {
+    const { publicos, verificando, ultimaVerificacao } = estadoDoSite(site.url);
+    return { url: site.url, dominio: dominioDe(site.url), metadados: metadadosDoSite(site), verificando, ultimaVerificacao, dados: publicos };
+  };
+
+  async function atender(req, res) {
+    const endereco = new URL(req.url, 'http://localhost');
+    let partes;
+    try {
+      partes = endereco.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (e) {
+      return responderJson(res, 400, { erro: 'Endereço inválido' });
+    }
+
+    if (req.method === 'GET' && !partes.length) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      fs.createReadStream(PAINEL).pipe(res);
+      return;
+    }
+    if (partes[0] !== 'api' || partes[1] !== 'sites') return responderJson(res, 404, { erro: 'Rota não encontrada' });
+    if (partes.length === 2) {
+      if (req.method !== 'GET') return responderJson(res, 405, { erro: 'Método não permitido' });
+      return responderJson(res, 200, sites.map(resumo));
+    }
+
+    const [, , dominio, acao] = partes;
+    const urlPedida = endereco.searchParams.get('url');
+    const doDominio = sites.filter(site => dominioDe(site.url) === dominio && (!urlPedida || site.url === urlPedida));
+    if (!doDominio.length) return responderJson(res, 404, { erro: `Site não encontrado: ${dominio}${urlPedida ? ` (${urlPedida})` : ''}` });
+
+    if (req.method === 'GET' && acao === 'runs' && partes.length === 4) {
+      const limite = Number(endereco.searchParams.get('limit')) || 50;
+      const execucoes = doDominio
+        .flatMap(site => lerHistorico(site.url, limite))
+        .sort((a, b) => a.data.localeCompare(b.data))
+        .slice(-limite);
+      return responderJson(res, 200, execucoes);
+    }
+    if (req.method === 'GET' && acao === 'screenshot' && partes.length === 4) {
+      const arquivo = ultimoScreenshot(dominio, estadoDoSite(doDominio[0].url).publicos);
+      if (!arquivo) return responderJson(res, 404, { erro: `Nenhum screenshot de ${dominio}` });
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'no-store' });
+      fs.createReadStream(arquivo).pipe(res);
+      return;
+    }
+    if (req.method === 'POST' && acao === 'recheck' && partes.length === 4) {
+      const iniciados = doDominio.filter(reverificar).map(site => site.url);
+      if (!iniciados.length) return responderJson(res, 409, { erro: 'Verificação já em andamento' });
+      return responderJson(res, 202, { verificando: iniciados });
+    }
+    return responderJson(res, 404, { erro: 'Rota não encontrada' });
+  }
+
+  const servidor = http.createServer((req, res) => {
+    atender(req, res).catch(e => {
+      if (!res.headersSent) responderJson(res, 500, { erro: e.message });
+      else res.destroy();
+    });
+  });
+  return new Promise((resolve, reject) => {
+    servidor.once('error', reject);
+    servidor.listen(porta, host, () => resolve(servidor));
+  });
+}
+
+module.exports = { iniciarServidor };
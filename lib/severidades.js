@@ -0,0 +1,28 @@
+/**
+ * Severidades usadas por vulnerabilidades e exposições: critical, high, medium, low (da mais
+ * grave para a mais leve), com os rótulos e cores exibidos nos detalhes do site.
+ */
+
+const chalk = require('chalk').default;
+
+const SEVERIDADES = ['critical', 'high', 'medium', 'low'];
+
+const ROTULOS = { critical: 'CRÍTICA', high: 'ALTA', medium: 'MÉDIA', low: 'BAIXA' };
+
+const CORES = {
+  critical: texto => chalk.bgRed.white.bold(texto),
+  high: texto => chalk.red.bold(texto),
+  medium: texto => chalk.hex('#FFA500')(texto),
+  low: texto => chalk.yellow(texto)
+};
+
+function rotuloSeveridade(severidade) {
+  return CORES[severidade](ROTULOS[severidade]);
+}
+
+// Ordena da mais grave para a mais leve
+function porSeveridade(a, b) {
+  return SEVERIDADES.indexOf(a.severidade) - SEVERIDADES.indexOf(b.severidade);
+}
+
+module.exports = { SEVERIDADES, rotuloSeveridade, porSeveridade };
@@ -0,0 +1,82 @@
+/**
+ * Leitura de sitemaps (protocolo sitemaps.org, inclusive o wp-sitemap.xml do WordPress).
+ *
+ * Os sitemaps são os declarados nas diretivas "Sitemap:" do robots.txt ou, sem elas, o primeiro
+ * que existir entre /sitemap.xml e /wp-sitemap.xml. Índices de sitemaps são seguidos (até
+ * MAX_ARQUIVOS arquivos) e cada arquivo tem o XML validado: uma página HTML devolvida com status
+ * 200 não conta como sitemap.
+ */
+
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { http, opcoesRequisicao } = require('./http');
+
+const CAMINHOS_PADRAO = ['/sitemap.xml', '/wp-sitemap.xml'];
+const MAX_ARQUIVOS = 50;
+
+const parser = new XMLParser({ removeNSPrefix: true, isArray: nome => nome === 'url' || nome === 'sitemap' });
+
+const texto = valor => String(valor).trim();
+
+/**
+ * Baixa e interpreta um arquivo. Devolve { arquivo: { url, tipo, urls, erro }, entradas, filhos },
+ * onde tipo é "urlset" ou "sitemapindex" (null com erro), entradas são as páginas
+ * [{ loc, lastmod }] e filhos os sitemaps listados num índice.
+ */
+async function lerArquivo(url, site) {
+  const falha = erro => ({ arquivo: { url, tipo: null, urls: 0, erro }, entradas: [], filhos: [] });
+  let res;
+  try {
+    res = await http.get(url, opcoesRequisicao(site, { responseType: 'text', validateStatus: () => true }));
+  } catch (e) {
+    return falha(`erro: ${e.code || e.message}`);
+  }
+  if (res.status !== 200) return falha(`status ${res.status}`);
+  if (/text\/html/i.test(String(res.headers['content-type'] || ''))) return falha('página HTML em vez de XML');
+  const xml = texto(res.data);
+  const validacao = XMLValidator.validate(xml);
+  if (validacao !== true) return falha(`XML inválido (linha ${validacao.err.line}: ${validacao.err.msg})`);
+  const documento = parser.parse(xml);
+  if (documento.urlset) {
+    const entradas = (documento.urlset.url || [])
+      .filter(item => item && item.loc)
+      .map(item => ({ loc: texto(item.loc), lastmod: item.lastmod ? texto(item.lastmod) : null }));
+    return { arquivo: { url, tipo: 'urlset', urls: entradas.length, erro: null }, entradas, filhos: [] };
+  }
+  if (documento.sitemapindex) {
+    const filhos = (documento.sitemapindex.sitemap || []).filter(item => item && item.loc).map(item => texto(item.loc));
+    return { arquivo: { url, tipo: 'sitemapindex', urls: 0, erro: null }, entradas: [], filhos };
+  }
+  return falha('XML sem <urlset> nem <sitemapindex>');
+}
+
+// Lê os sitemaps informados e os listados nos índices: { arquivos: [{ url, tipo, urls, erro }], entradas }
+async function lerSitemaps(enderecos, site) {
+  const pendentes = [...enderecos];
+  const lidos = new Set();
+  const arquivos = [];
+  const entradas = [];
+  while (pendentes.length && arquivos.length < MAX_ARQUIVOS) {
+    const url = pendentes.shift();
+    if (lidos.has(url)) continue;
+    lidos.add(url);
+    const resultado = await lerArquivo(url, site);
+    arquivos.push(resultado.arquivo);
+    entradas.push(...resultado.entradas);
+    pendentes.push(...resultado.filhos);
+  }
+  return { arquivos, entradas };
+}
+
+// Sitemaps do site: os declarados no robots.txt ou o primeiro válido entre os caminhos padrão
+async function descobrirSitemaps(url, site, declarados = []) {
+  if (declarados.length) return lerSitemaps(declarados, site);
+  const tentados = [];
+  for (const caminho of CAMINHOS_PADRAO) {
+    const resultado = await lerSitemaps([new URL(caminho, url).href], site);
+    if (resultado.arquivos.some(arquivo => !arquivo.erro)) return resultado;
+    tentados.push(...resultado.arquivos);
+  }
+  return { arquivos: tentados, entradas: [] };
+}
+
+module.exports = { descobrirSitemaps, lerSitemaps };
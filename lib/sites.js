@@ -0,0 +1,268 @@
+/**
+ * Lista de sites a verificar.
+ *
+ * O arquivo de links pode ser um texto com uma URL por linha, opcionalmente seguida de ajustes
+ * para aquele site:
+ *
+ *   https://cliente.com.br timeout=20000 screenshot=false auth=usuario:senha header.X-Token=abc
+ *   https://intranet.cliente.com.br status=200,401 keyword=Bem-vindo keyword=Fale%20conosco retries=4
+ *   https://loja.cliente.com.br client=Cliente%20X tags=loja,producao environment=producao critical=true
+ *
+ * status lista os códigos HTTP aceitos como site no ar (padrão: qualquer 2xx), keyword é um texto
+ * que a página inicial deve conter (pode repetir; espaços como %20) e retries substitui --retries.
+ * Os metadados client, tags, environment, owner, wordpress (se o site deve ou não ser WordPress) e
+ * critical servem para agrupar, filtrar (--tags, --client) e identificar o site nos relatórios.
+ *
+ * Também pode ser um inventário (pela extensão): .csv com uma coluna por ajuste (url obrigatória,
+ * separado por vírgula ou ponto e vírgula), ou .json/.yaml com uma lista de sites (ou { "sites": [...] }),
+ * cada um uma URL ou um objeto com "url" e os ajustes.
+ *
+ * Os mesmos ajustes podem ficar no arquivo de configuração, em "sites": { "<url>": { ... } },
+ * com "headers" como objeto, "auth" como { "username", "password" }, "expectedStatus",
+ * "keywords" e "tags" como listas. Os ajustes do arquivo de links têm precedência sobre os do
+ * arquivo de configuração. Linhas inválidas (URL sem http:// ou https://, ajuste desconhecido ou
+ * valor inválido) e URLs repetidas são ignoradas com um aviso, para uma linha errada não impedir a
+ * verificação dos demais sites.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Metadados do site (não alteram a verificação) e seus valores padrão
+const METADADOS = { client: null, tags: [], environment: null, owner: null, wordpress: null, critical: false };
+
+function lerAuth(valor, origem) {
+  if (typeof valor !== 'string') return valor;
+  const separador = valor.indexOf(':');
+  if (separador === -1) throw new Error(`auth deve estar no formato usuario:senha (recebido "${valor}") ${origem}`);
+  return { username: valor.slice(0, separador), password: valor.slice(separador + 1) };
+}
+
+// Listas podem vir como lista (JSON/YAML) ou como texto separado (linha, CSV)
+function lerLista(valor, separador) {
+  const itens = Array.isArray(valor) ? valor : String(valor).split(separador);
+  return itens.map(item => String(item).trim()).filter(Boolean);
+}
+
+// headers pode vir como objeto (JSON/YAML, arquivo de configuração) ou como JSON em texto (coluna do CSV)
+function lerHeaders(valor, origem) {
+  let headers = valor;
+  if (typeof valor === 'string') {
+    try {
+      headers = JSON.parse(valor);
+    } catch (e) {
+      headers = null;
+    }
+  }
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new Error(`headers deve ser um objeto JSON, ex.: {"X-Token": "abc"} (recebido ${JSON.stringify(valor)}) ${origem}`);
+  }
+  return Object.fromEntries(Object.entries(headers).map(([nome, conteudo]) => [nome, String(conteudo)]));
+}
+
+function lerBooleano(valor, chave, origem) {
+  if (typeof valor === 'boolean') return valor;
+  const texto = String(valor).trim().toLowerCase();
+  if (['true', 'sim', 's', 'yes', '1'].includes(texto)) return true;
+  if (['false', 'não', 'nao', 'n', 'no', '0'].includes(texto)) return false;
+  throw new Error(`${chave} deve ser true ou false (recebido "${valor}") ${origem}`);
+}
+
+/**
+ * Converte uma entrada de site ({ chave: valor }, com valores já tipados no JSON/YAML ou em texto
+ * na linha e no CSV) em um objeto de ajustes. Campos vazios são ignorados.
+ */
+function lerEntrada(entrada, origem) {
+  const ajustes = { headers: {} };
+  for (const [chave, valor] of Object.entries(entrada)) {
+    if (valor === null || valor === undefined || valor === '') continue;
+    if (chave === 'url') ajustes.url = String(valor).trim();
+    else if (chave === 'timeout' || chave === 'retries') ajustes[chave] = Number(valor);
+    else if (chave === 'screenshot' || chave === 'wordpress' || chave === 'critical') ajustes[chave] = lerBooleano(valor, chave, origem);
+    else if (chave === 'auth') ajustes.auth = lerAuth(valor, origem);
+    else if (chave === 'headers') Object.assign(ajustes.headers, lerHeaders(valor, origem));
+    else if (chave.startsWith('header.')) ajustes.headers[chave.slice('header.'.length)] = String(valor);
+    else if (chave === 'status' || chave === 'expectedStatus') ajustes.expectedStatus = lerLista(valor, /[,;|]/).map(Number);
+    else if (chave === 'keyword' || chave === 'keywords') ajustes.keywords = lerLista(valor, /[;|]/);
+    else if (chave === 'tags') ajustes.tags = lerLista(valor, /[,;|]/);
+    else if (['client', 'environment', 'owner'].includes(chave)) ajustes[chave] = String(valor).trim();
+    else throw new Error(`Ajuste desconhecido "${chave}" ${origem}`);
+  }
+  return ajustes;
+}
+
+// Converte os ajustes "chave=valor" de uma linha em uma entrada (keyword pode repetir; textos
+// livres usam %20 para espaços)
+function lerAjustesDaLinha(tokens, linha) {
+  const entrada = {};
+  for (const token of tokens) {
+    const [chave, valor] = token.split(/=(.*)/s);
+    if (valor === undefined) throw new Error(`Ajuste inválido "${token}" na linha: ${linha}`);
+    if (chave === 'keyword') entrada.keywords = [...(entrada.keywords || []), decodeURIComponent(valor)];
+    else if (['client', 'environment', 'owner'].includes(chave)) entrada[chave] = decodeURIComponent(valor);
+    else entrada[chave] = valor;
+  }
+  return entrada;
+}
+
+// Divide o CSV em linhas de campos, com aspas duplas para campos com separador, aspas ou quebra de linha
+function lerCsv(texto) {
+  const primeiraLinha = texto.split('\n', 1)[0];
+  const separador = primeiraLinha.includes(';') && !primeiraLinha.includes(',') ? ';' : ',';
+  const linhas = [];
+  let campos = [];
+  let campo = '';
+  let entreAspas = false;
+  for (let i = 0; i < texto.length; i++) {
+    const c = texto[i];
+    if (entreAspas) {
+      if (c === '"' && texto[i + 1] === '"') { campo += '"'; i++; }
+      else if (c === '"') entreAspas = false;
+      else campo += c;
+    } else if (c === '"') entreAspas = true;
+    else if (c === separador) { campos.push(campo); campo = ''; }
+    else if (c === '\n') { campos.push(campo.replace(/\r$/, '')); linhas.push(campos); campos = []; campo = ''; }
+    else campo += c;
+  }
+  if (campo || campos.length) linhas.push([...campos, campo.replace(/\r$/, '')]);
+  return linhas.filter(linha => linha.some(valor => valor.trim()));
+}
+
+/**
+ * Lê o arquivo de links (texto ou inventário) e devolve [{ ler, origem }], em que ler() devolve a
+ * entrada do site (e falha se a linha ou o item for inválido) e origem identifica a linha ou o
+ * item nas mensagens de erro.
+ */
+function lerArquivoDeLinks(caminho) {
+  const texto = fs.readFileSync(caminho, 'utf8').replace(/^\uFEFF/, '');
+  const extensao = path.extname(caminho).toLowerCase();
+  const nome = path.basename(caminho);
+
+  if (extensao === '.csv') {
+    const [cabecalho, ...linhas] = lerCsv(texto);
+    if (!cabecalho || !cabecalho.map(coluna => coluna.trim()).includes('url')) throw new Error(`${nome} precisa de uma coluna "url"`);
+    return linhas.map((linha, i) => ({
+      ler: () => Object.fromEntries(cabecalho.map((coluna, j) => [coluna.trim(), linha[j] === undefined ? '' : linha[j].trim()])),
+      origem: `na linha ${i + 2} de ${nome}`
+    }));
+  }
+
+  if (['.json', '.yaml', '.yml'].includes(extensao)) {
+    let documento;
+    try {
+      documento = extensao === '.json' ? JSON.parse(texto) : require('js-yaml').load(texto);
+    } catch (e) {
+      throw new Error(`${nome} inválido: ${e.message}`);
+    }
+    const itens = Array.isArray(documento) ? documento : documento && documento.sites;
+    if (!Array.isArray(itens)) throw new Error(`${nome} deve ter uma lista de sites (ou { "sites": [...] })`);
+    return itens.map((item, i) => {
+      const origem = `no item ${i + 1} de ${nome}`;
+      const ler = () => {
+        if (typeof item === 'string') return { url: item };
+        if (!item || typeof item !== 'object' || Array.isArray(item)) throw new Error(`Site inválido ${origem}: use uma URL ou um objeto com "url"`);
+        return item;
+      };
+      return { ler, origem };
+    });
+  }
+
+  return texto
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(linha => {
+      const [url, ...tokens] = linha.split(/\s+/);
+      return { ler: () => ({ url, ...lerAjustesDaLinha(tokens, linha) }), origem: `na linha: ${linha}` };
+    });
+}
+
+// Só são aceitas URLs http/https completas (um domínio sem protocolo quebraria as verificações)
+function validarUrl(url, origem) {
+  if (!url) throw new Error(`Site sem URL ${origem}`);
+  let endereco;
+  try {
+    endereco = new URL(url);
+  } catch (e) {
+    endereco = null;
+  }
+  if (!endereco || !['http:', 'https:'].includes(endereco.protocol) || !endereco.hostname) {
+    const dica = /^https?:/i.test(url) ? 'endereço malformado'
+      : /^[a-z][a-z0-9+.-]*:/i.test(url) ? 'use http:// ou https://' : `inclua o protocolo, ex.: https://${url}`;
+    throw new Error(`URL inválida "${url}" ${origem} (${dica})`);
+  }
+  return endereco;
+}
+
+function validarSite(site, origem) {
+  if (typeof site.timeout !== 'number' || Number.isNaN(site.timeout) || site.timeout < 1) {
+    throw new Error(`timeout inválido para ${site.url} ${origem}`);
+  }
+  if (site.auth && (typeof site.auth.username !== 'string' || typeof site.auth.password !== 'string')) {
+    throw new Error(`auth inválido para ${site.url} ${origem}`);
+  }
+  if (!Number.isInteger(site.retries) || site.retries < 0) throw new Error(`retries inválido para ${site.url} ${origem}`);
+  if (site.expectedStatus && (!Array.isArray(site.expectedStatus) || !site.expectedStatus.length
+      || site.expectedStatus.some(status => !Number.isInteger(status) || status < 100 || status > 599))) {
+    throw new Error(`status esperado inválido para ${site.url} ${origem}`);
+  }
+  if (!Array.isArray(site.keywords) || site.keywords.some(texto => typeof texto !== 'string' || !texto)) {
+    throw new Error(`keyword inválida para ${site.url} ${origem}`);
+  }
+  return site;
+}
+
+// Metadados do site que vão para os relatórios: { client, tags, environment, owner, wordpress, critical }
+function metadadosDoSite(site) {
+  return Object.fromEntries(Object.keys(METADADOS).map(chave => [chave, site[chave]]));
+}
+
+/**
+ * Lê o arquivo de links e devolve { sites, avisos }: os sites com os ajustes já combinados
+ * ({ url, timeout, headers, auth, screenshot, retries, expectedStatus, keywords } e os metadados),
+ * já filtrados por --tags e --client, e os avisos (linhas inválidas e URLs repetidas, ignoradas).
+ */
+function carregarSites(opcoes) {
+  const avisos = [];
+  const vistas = new Map(); // URL normalizada -> origem da primeira ocorrência
+  const sites = [];
+  for (const { ler, origem } of lerArquivoDeLinks(opcoes.links)) {
+    // Uma linha com problema (URL, ajuste ou valor inválido) é ignorada com um aviso; as demais seguem
+    try {
+      const daEntrada = lerEntrada(ler(), origem);
+      const chave = validarUrl(daEntrada.url, origem).href;
+      if (vistas.has(chave)) {
+        avisos.push(`URL repetida ignorada: ${daEntrada.url} ${origem} (já listada ${vistas.get(chave)})`);
+        continue;
+      }
+      const daConfig = opcoes.sites[daEntrada.url] ? lerEntrada(opcoes.sites[daEntrada.url], `em "sites" do arquivo de configuração`) : {};
+      sites.push(validarSite({
+        url: daEntrada.url,
+        timeout: opcoes.timeout,
+        auth: null,
+        screenshot: true,
+        retries: opcoes.retries,
+        expectedStatus: null,
+        keywords: [],
+        ...METADADOS,
+        ...daConfig,
+        ...daEntrada,
+        headers: { ...daConfig.headers, ...daEntrada.headers }
+      }, origem));
+      vistas.set(chave, origem);
+    } catch (e) {
+      avisos.push(`${e.message}; site ignorado`);
+    }
+  }
+
+  const tags = opcoes.tags.map(tag => tag.toLowerCase());
+  const cliente = opcoes.client && opcoes.client.toLowerCase();
+  return {
+    sites: sites.filter(site =>
+      (!tags.length || site.tags.some(tag => tags.includes(tag.toLowerCase())))
+      && (!cliente || (site.client || '').toLowerCase() === cliente)),
+    avisos
+  };
+}
+
+module.exports = { carregarSites, metadadosDoSite };
@@ -0,0 +1,149 @@
+/**
+ * Base local de vulnerabilidades do WordPress (arquivo JSON atualizado fora do script, --vuln-db).
+ *
+ * Formato (inspirado no OSV), como lista ou em { "vulnerabilities": [...] }:
+ *
+ *   { "id": "CVE-2024-1234", "summary": "XSS no formulário", "severity": "high", "cvss": 7.2,
+ *     "affected": [{ "type": "plugin", "slug": "contact-form-7",
+ *                    "ranges": [{ "introduced": "0", "fixed": "5.8.4" }] }] }
+ *
+ * type é core, plugin ou theme (core dispensa slug). Cada faixa aceita introduced (inclusive,
+ * padrão "0"), fixed (exclusive) e lastAffected (inclusive), ou a forma OSV
+ * "events": [{ "introduced" }, { "fixed" }]; "versions" lista versões afetadas avulsas.
+ * Sem "severity", ela é derivada do "cvss".
+ */
+
+const fs = require('fs');
+const { SEVERIDADES, porSeveridade } = require('./severidades');
+
+const TIPOS = ['core', 'plugin', 'theme'];
+
+// Separa a versão em núcleo numérico e pré-lançamento: "5.8-RC2" -> ["5", "8"] e "rc2" (também
+// "5.8beta1"); metadados de build ("+abc") não contam
+function partesDaVersao(versao) {
+  const texto = String(versao).trim().toLowerCase().replace(/\+.*$/, '');
+  const [, nucleo, preLancamento] = texto.match(/^(\d+(?:\.\d+)*)[-.]?(.*)$/) || [null, texto, ''];
+  return { nucleo: nucleo.split('.'), preLancamento };
+}
+
+// Compara versões "1.2.10" x "1.2.9" parte a parte (numéricas quando possível); um pré-lançamento
+// vem antes da versão final ("5.8-beta1" < "5.8-RC2" < "5.8")
+function compararVersoes(a, b) {
+  const versaoA = partesDaVersao(a);
+  const versaoB = partesDaVersao(b);
+  for (let i = 0; i < Math.max(versaoA.nucleo.length, versaoB.nucleo.length); i++) {
+    const x = versaoA.nucleo[i] === undefined ? '0' : versaoA.nucleo[i];
+    const y = versaoB.nucleo[i] === undefined ? '0' : versaoB.nucleo[i];
+    const diferenca = /^\d+$/.test(x) && /^\d+$/.test(y) ? Number(x) - Number(y) : x.localeCompare(y);
+    if (diferenca) return Math.sign(diferenca);
+  }
+  if (versaoA.preLancamento === versaoB.preLancamento) return 0;
+  if (!versaoA.preLancamento) return 1;
+  if (!versaoB.preLancamento) return -1;
+  return Math.sign(versaoA.preLancamento.localeCompare(versaoB.preLancamento, 'en', { numeric: true }));
+}
+
+// Converte a forma OSV (events) para { introduced, fixed, lastAffected }
+function normalizarFaixa(faixa) {
+  if (!Array.isArray(faixa.events)) return faixa;
+  return Object.assign({}, ...faixa.events.map(evento => ({
+    ...(evento.introduced !== undefined ? { introduced: evento.introduced } : {}),
+    ...(evento.fixed !== undefined ? { fixed: evento.fixed } : {}),
+    ...(evento.last_affected !== undefined ? { lastAffected: evento.last_affected } : {})
+  })));
+}
+
+function versaoNaFaixa(versao, { introduced = '0', fixed, lastAffected }) {
+  if (compararVersoes(versao, introduced) < 0) return false;
+  if (fixed !== undefined && compararVersoes(versao, fixed) >= 0) return false;
+  if (lastAffected !== undefined && compararVersoes(versao, lastAffected) > 0) return false;
+  return true;
+}
+
+function severidadeDoCvss(cvss) {
+  if (typeof cvss !== 'number') return 'medium';
+  if (cvss >= 9) return 'critical';
+  if (cvss >= 7) return 'high';
+  if (cvss >= 4) return 'medium';
+  return 'low';
+}
+
+// Valida a base e indexa as entradas afetadas por "tipo:slug"
+function indexarBase(dados, caminho) {
+  const lista = Array.isArray(dados) ? dados : dados && dados.vulnerabilities;
+  if (!Array.isArray(lista)) throw new Error(`Base de vulnerabilidades inválida (${caminho}): esperada uma lista de vulnerabilidades`);
+  const indice = new Map();
+  for (const vulnerabilidade of lista) {
+    if (!vulnerabilidade || typeof vulnerabilidade.id !== 'string' || !Array.isArray(vulnerabilidade.affected)) {
+      throw new Error(`Base de vulnerabilidades inválida (${caminho}): cada item precisa de "id" e "affected"`);
+    }
+    const severidade = SEVERIDADES.includes(String(vulnerabilidade.severity).toLowerCase())
+      ? String(vulnerabilidade.severity).toLowerCase() : severidadeDoCvss(vulnerabilidade.cvss);
+    for (const afetado of vulnerabilidade.affected) {
+      if (!TIPOS.includes(afetado.type) || (afetado.type !== 'core' && !afetado.slug)) {
+        throw new Error(`Base de vulnerabilidades inválida (${caminho}): ${vulnerabilidade.id} tem "affected" sem type/slug válidos`);
+      }
+      const chave = afetado.type === 'core' ? 'core:' : `${afetado.type}:${afetado.slug.toLowerCase()}`;
+      if (!indice.has(chave)) indice.set(chave, []);
+      indice.get(chave).push({
+        id: vulnerabilidade.id,
+        resumo: vulnerabilidade.summary || '',
+        severidade,
+        faixas: (afetado.ranges || []).map(normalizarFaixa),
+        versoes: afetado.versions || []
+      });
+    }
+  }
+  return indice;
+}
+
+// A base é relida quando o arquivo muda, para valer também no modo --watch
+const cache = { caminho: null, modificado: null, indice: null };
+
+function carregarBaseVulnerabilidades(caminho) {
+  const { mtimeMs } = fs.statSync(caminho);
+  if (cache.caminho !== caminho || cache.modificado !== mtimeMs) {
+    let dados;
+    try {
+      dados = JSON.parse(fs.readFileSync(caminho, 'utf8'));
+    } catch (e) {
+      throw new Error(`Base de vulnerabilidades inválida (${caminho}): ${e.message}`);
+    }
+    Object.assign(cache, { caminho, modificado: mtimeMs, indice: indexarBase(dados, caminho) });
+  }
+  return cache.indice;
+}
+
+/**
+ * Cruza o inventário (veja checks/inventario-wp.js) com a base e devolve as vulnerabilidades
+ * encontradas: [{ id, tipo, slug, versao, severidade, corrigidaEm, resumo }]. Componentes sem
+ * versão identificada não são avaliados.
+ */
+function buscarVulnerabilidades(indice, inventario) {
+  const componentes = [
+    { tipo: 'core', slug: null, versao: inventario.core.versao },
+    ...(inventario.tema ? [{ tipo: 'theme', slug: inventario.tema.slug, versao: inventario.tema.versao }] : []),
+    ...inventario.plugins.map(plugin => ({ tipo: 'plugin', slug: plugin.slug, versao: plugin.versao }))
+  ];
+  const encontradas = [];
+  for (const { tipo, slug, versao } of componentes) {
+    if (!versao) continue;
+    const entradas = indice.get(tipo === 'core' ? 'core:' : `${tipo}:${slug.toLowerCase()}`) || [];
+    for (const entrada of entradas) {
+      const faixa = entrada.faixas.find(f => versaoNaFaixa(versao, f));
+      if (!faixa && !entrada.versoes.includes(versao)) continue;
+      encontradas.push({
+        id: entrada.id,
+        tipo,
+        slug,
+        versao,
+        severidade: entrada.severidade,
+        corrigidaEm: (faixa && faixa.fixed) || null,
+        resumo: entrada.resumo
+      });
+    }
+  }
+  return encontradas.sort(porSeveridade);
+}
+
+module.exports = { carregarBaseVulnerabilidades, buscarVulnerabilidades, compararVersoes };
@@ -1,5 +1,5 @@
 @echo off
 call npm init -y
-call npm install axios cheerio chalk puppeteer blessed blessed-contrib
+call npm install axios cheerio chalk puppeteer blessed blessed-contrib js-yaml pngjs pixelmatch@5 fast-xml-parser
 call node wordpress-check.js
 pause
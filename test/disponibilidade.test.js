@@ -0,0 +1,50 @@
+/**
+ * Testes da classificação de disponibilidade (checks/disponibilidade.js), contra um servidor local.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const disponibilidade = require('../checks/disponibilidade');
+
+const PAGINAS = {
+  '/blog': '<html><head><title>Blog</title></head><body><p>Compramos o domínio antigo pela Afternic e pela HugeDomains.</p></body></html>',
+  '/parking': '<html><head><script src="https://www.parkingcrew.net/js/lander.js"></script></head><body></body></html>',
+  '/venda': '<html><head><title>exemplo.com.br</title></head><body><h1>This domain is for sale!</h1></body></html>'
+};
+
+let servidor;
+let base;
+
+test.before(async () => {
+  servidor = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(PAGINAS[req.url.replace(/\/$/, '')] || '');
+  });
+  await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+test.after(() => servidor.close());
+
+const verificar = caminho => disponibilidade.executar({
+  url: base + caminho,
+  site: { timeout: 5000, headers: {}, auth: null, retries: 0, expectedStatus: null, keywords: [] },
+  opcoes: { retryDelay: 0 }
+});
+
+test('página no ar que só cita um serviço de parking no texto continua online', async () => {
+  const { online, disponibilidade: resultado } = await verificar('/blog');
+  assert.strictEqual(online, true);
+  assert.strictEqual(resultado.situacao, 'online');
+});
+
+test('script de um serviço de parking marca o domínio como estacionado', async () => {
+  const { disponibilidade: resultado } = await verificar('/parking');
+  assert.strictEqual(resultado.situacao, 'estacionado');
+});
+
+test('frase de domínio à venda no texto visível marca o domínio como estacionado', async () => {
+  const { disponibilidade: resultado } = await verificar('/venda');
+  assert.strictEqual(resultado.situacao, 'estacionado');
+});
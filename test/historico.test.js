@@ -0,0 +1,57 @@
+/**
+ * Testes do histórico de execuções (lib/historico.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { definirPastaSaida } = require('../lib/pastas');
+const { registrarExecucao, lerHistorico } = require('../lib/historico');
+
+const A = 'https://exemplo.com.br/';
+const B = 'https://exemplo.com.br/loja';
+
+let pasta;
+
+test.before(() => {
+  pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'verifica-sites-'));
+  definirPastaSaida(pasta);
+  // Duas URLs do mesmo domínio intercaladas, com texto acentuado, somando bem mais que um bloco de leitura
+  const inicio = Date.UTC(2026, 0, 1);
+  for (let i = 0; i < 1500; i++) {
+    const url = i % 3 ? A : B;
+    registrarExecucao(url, {
+      online: true,
+      disponibilidade: { situacao: 'online' },
+      respTime: i,
+      score: { total: 90 },
+      wpFeatures: { meta_generator: `WordPress ${'ção'.repeat(i % 40)}` }
+    }, new Date(inicio + i * 60000));
+  }
+  fs.appendFileSync(path.join(pasta, 'exemplo.com.br', 'historico.jsonl'), '{"url": "https://exemplo.com.br/", "data": \n');
+});
+
+test.after(() => fs.rmSync(pasta, { recursive: true, force: true }));
+
+// Leitura completa, como referência
+function todas(url) {
+  return fs.readFileSync(path.join(pasta, 'exemplo.com.br', 'historico.jsonl'), 'utf8').split('\n')
+    .filter(linha => linha.trim())
+    .flatMap(linha => { try { return [JSON.parse(linha)]; } catch (e) { return []; } })
+    .filter(registro => registro.url === url);
+}
+
+test('devolve só as últimas execuções da URL, das mais antigas para as mais recentes', () => {
+  assert.deepStrictEqual(lerHistorico(A, 50), todas(A).slice(-50));
+  assert.deepStrictEqual(lerHistorico(B, 7), todas(B).slice(-7));
+});
+
+test('com limite maior que o histórico, devolve todas as execuções da URL', () => {
+  assert.deepStrictEqual(lerHistorico(B, 10000), todas(B));
+});
+
+test('URL sem histórico devolve uma lista vazia', () => {
+  assert.deepStrictEqual(lerHistorico('https://outro.com.br/'), []);
+});
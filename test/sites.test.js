@@ -0,0 +1,72 @@
+/**
+ * Testes da leitura do arquivo de links (lib/sites.js). Rode com: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { carregarSites } = require('../lib/sites');
+
+// Grava o arquivo de links numa pasta temporária e carrega os sites com as opções padrão
+function carregar(nome, conteudo) {
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'verifica-sites-'));
+  const links = path.join(pasta, nome);
+  fs.writeFileSync(links, conteudo);
+  try {
+    return carregarSites({ links, sites: {}, timeout: 10000, retries: 2, tags: [], client: null });
+  } finally {
+    fs.rmSync(pasta, { recursive: true, force: true });
+  }
+}
+
+test('uma linha inválida no CSV é ignorada com aviso e as demais são carregadas', () => {
+  const { sites, avisos } = carregar('sites.csv', [
+    'url,critical,headers',
+    'https://a.com.br,true,',
+    'https://b.com.br,talvez,',
+    'https://c.com.br,,"{""X-Token"": ""abc""}"',
+    'https://d.com.br,,nao-e-json',
+    'e.com.br,,',
+    'https://f.com.br,false,'
+  ].join('\n'));
+  assert.deepStrictEqual(sites.map(site => site.url), ['https://a.com.br', 'https://c.com.br', 'https://f.com.br']);
+  assert.deepStrictEqual(sites[1].headers, { 'X-Token': 'abc' });
+  assert.strictEqual(avisos.length, 3);
+  assert.match(avisos[0], /critical deve ser true ou false .*na linha 3 de sites\.csv; site ignorado/);
+  assert.match(avisos[1], /headers deve ser um objeto JSON.*na linha 5 de sites\.csv; site ignorado/);
+  assert.match(avisos[2], /URL inválida "e\.com\.br" na linha 6 de sites\.csv/);
+});
+
+test('ajuste desconhecido, ajuste malformado e valor inválido na lista de texto custam só a própria linha', () => {
+  const { sites, avisos } = carregar('links.txt', [
+    'https://a.com.br timeout=5000',
+    'https://b.com.br cor=azul',
+    'https://c.com.br timeout',
+    'https://d.com.br retries=-1',
+    'https://e.com.br auth=semseparador',
+    'https://f.com.br'
+  ].join('\n'));
+  assert.deepStrictEqual(sites.map(site => site.url), ['https://a.com.br', 'https://f.com.br']);
+  assert.strictEqual(sites[0].timeout, 5000);
+  assert.strictEqual(avisos.length, 4);
+  assert.match(avisos[0], /Ajuste desconhecido "cor"/);
+  assert.match(avisos[1], /Ajuste inválido "timeout"/);
+  assert.match(avisos[2], /retries inválido para https:\/\/d\.com\.br na linha/);
+  assert.match(avisos[3], /auth deve estar no formato usuario:senha .*na linha: https:\/\/e\.com\.br/);
+});
+
+test('um item inválido no JSON é ignorado e uma linha ignorada não conta como URL repetida', () => {
+  const { sites, avisos } = carregar('sites.json', JSON.stringify([
+    { url: 'https://a.com.br', retries: 'muitas' },
+    42,
+    'https://a.com.br',
+    { url: 'https://a.com.br' }
+  ]));
+  assert.deepStrictEqual(sites.map(site => site.url), ['https://a.com.br']);
+  assert.strictEqual(avisos.length, 3);
+  assert.match(avisos[0], /retries inválido .*no item 1 de sites\.json/);
+  assert.match(avisos[1], /Site inválido no item 2 de sites\.json/);
+  assert.match(avisos[2], /URL repetida ignorada: https:\/\/a\.com\.br no item 4 .*já listada no item 3/);
+});
@@ -3,204 +3,393 @@
  * Script de verificação de sites WordPress com interface interativa
  * utilizando Blessed e Blessed-Contrib para uma UI moderna.
  *
- * Para cada site (lido do arquivo "links.txt"), são realizadas as seguintes verificações:
- *  1. Verificar disponibilidade do site (usando 5 métodos).
+ * Para cada site (lido do arquivo "links.txt" ou do informado em --links), são realizadas as seguintes verificações:
+ *  1. Verificar disponibilidade do site (usando 5 métodos, com novas tentativas) e classificar a falha.
  *  2. Medir o tempo de resposta.
  *  3. Verificar redirecionamentos.
- *  4. Verificar certificado SSL (para URLs HTTPS).
+ *  4. Verificar certificado SSL (para URLs HTTPS): cadeia, hostname, expiração, chave, protocolo, TLS 1.0/1.1 e HSTS.
  *  5. Verificar a resolução DNS do domínio.
  *  6. Executar teste de ping.
- *  7. Obter o cabeçalho Content-Type.
- *  8. Extrair o título da página.
+ *  7. Obter o cabeçalho Content-Type e auditar os cabeçalhos de segurança (nota de A a F).
+ *  8. Extrair o título da página e auditar o SEO on-page (description, canonical, noindex, H1,
+ *     Open Graph, hreflang, alt das imagens e JSON-LD).
  *  9. Analisar o conteúdo em busca de erros.
- * 10. Verificar a existência de robots.txt.
- * 11. Verificar a existência de sitemap.xml.
+ * 10. Verificar a existência de robots.txt e interpretar as regras e diretivas Sitemap.
+ * 11. Verificar o sitemap.xml: índices, XML válido, total de URLs, lastmod e uma amostra das URLs.
  * 12. Verificar a presença de meta refresh.
- * 13. Executar verificações específicas para WordPress (ex.: presença de wp-content, wp-includes, meta tag generator, endpoints /wp-json/ e /wp-admin/).
- * 14. Salvar o conteúdo (controle de versões).
- * 15. Medir o desempenho (score).
- * 16. Capturar screenshot da página inicial (usando Puppeteer) e tentar abri-la automaticamente.
+ * 13. Executar verificações específicas para WordPress (ex.: presença de wp-content, wp-includes, meta tag generator, endpoints /wp-json/ e /wp-admin/)
+ *     e levantar o inventário: versão do core, tema ativo e plugins com versão.
+ * 14. Salvar o conteúdo (controle de versões) e comparar a nova versão com a anterior, destacando
+ *     scripts e iframes injetados; opcionalmente (--enable-checks links), procurar links e recursos quebrados.
+ * 15. Medir o desempenho (TTFB, FCP, LCP, CLS, total blocking time e requisições, coletados no navegador).
+ * 16. Capturar screenshot da página inicial (usando Puppeteer) e compará-lo com o anterior (diferença visual).
+ *
+ * Com os resultados é calculado o score de saúde do site (0 a 100), com notas por categoria e os
+ * pontos ganhos ou perdidos em cada regra; os pesos são ajustáveis em "scoreWeights" (veja lib/pontuacao.js).
+ *
+ * Cada passo é uma verificação registrada em checks/ (veja lib/checks.js para o formato). Verificações
+ * próprias podem ser adicionadas em checks/ ou num diretório passado em --checks-dir, e ativadas ou
+ * desativadas com --enable-checks e --disable-checks (ids separados por vírgula).
  *
  * A interface apresenta:
- * - À esquerda: uma lista de sites processados.
- * - À direita: os detalhes completos do site selecionado.
+ * - À esquerda: a lista de sites, com um ícone colorido da situação (pendente, verificando, ONLINE,
+ *   DEGRADADO, OFFLINE), e abaixo um gráfico com a quantidade de sites em cada situação.
+ * - À direita: os detalhes completos do site selecionado (com uptime e última mudança registrados
+ *   no histórico) e, abaixo, o gráfico do tempo de resposta ao longo das execuções.
  * - No rodapé: um log de progresso.
  *
- * Navegue na lista com as setas; pressione Enter (ou clique) para selecionar um site; use as setas direita/esquerda para alternar o foco entre a lista e os detalhes; para sair, pressione ESC, "q" ou Ctrl+C.
+ * Navegue na lista com as setas; pressione Enter (ou clique) para selecionar um site, mesmo durante a verificação; use as setas direita/esquerda para alternar o foco entre a lista e os detalhes; para sair, pressione ESC, "q" ou Ctrl+C.
+ * Na lista: "/" filtra por URL, cliente ou tag, "o" alterna a ordenação (score, tempo de resposta, status),
+ * "a" agrupa por cliente ou tag, "r" verifica o site de novo, "s" abre o screenshot e "e" exporta o
+ * resultado do site (no formato de --format) para dominios/<domínio>/exportacoes/.
+ *
+ * Modo headless (cron, CI, SSH sem TTY): não cria a interface e grava os resultados brutos de cada site.
+ *   node wordpress-check.js --headless --format json|csv|junit [--out relatorio.json] [--min-score 70]
+ * O código de saída é 1 se algum site estiver OFFLINE ou com score abaixo de --min-score.
+ *
+ * Os sites são processados em paralelo (--concurrency, padrão 4) e requisições ao mesmo host
+ * são espaçadas por --host-interval milissegundos (padrão 250).
+ *
+ * Com --watch o script não termina: cada verificação é repetida no seu intervalo (disponibilidade a
+ * cada 5 minutos, SSL/robots/sitemap/screenshot uma vez por dia, ajustáveis em "intervals"), a lista
+ * de sites é atualizada com a cor do status e as mudanças (ONLINE → OFFLINE, queda de score) são
+ * destacadas no log.
+ *
+ * Com --reports html,pdf cada rodada gera um relatório por site e um resumo de todos os sites,
+ * para enviar aos clientes (veja lib/relatorios.js).
+ *
+ * Com --serve <porta> um painel web e uma API REST (veja lib/servidor.js) mostram os resultados, o
+ * histórico e os screenshots de cada site e permitem pedir uma nova verificação de um site.
+ *
+ * Todas as opções podem ficar em verifica.config.json (ou no arquivo de --config, JSON ou YAML);
+ * os argumentos têm precedência. Veja lib/config.js para a lista e lib/sites.js para os ajustes por site.
  */
 
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const cheerio = require('cheerio');
 const chalk = require('chalk').default;
-const { exec } = require('child_process');
-const dns = require('dns').promises;
-const crypto = require('crypto');
-const { performance } = require('perf_hooks');
-const net = require('net');
-const tls = require('tls');
-const puppeteer = require('puppeteer');
+const { sleep, definirIntervaloPorHost } = require('./lib/http');
+const { definirPastaSaida, criarPastas, prefixoDaUrl, carimboDeTempo, ultimoScreenshot, abrirArquivo } = require('./lib/pastas');
+const { carregarOpcoes } = require('./lib/config');
+const { carregarSites, metadadosDoSite } = require('./lib/sites');
+const { registrarExecucao, lerHistorico, resumirTendencias } = require('./lib/historico');
+const { checksPendentes, proximaExecucao, detectarTransicoes } = require('./lib/monitoramento');
+const { processarAlertas } = require('./lib/alertas');
+const { computeScore, CATEGORIAS } = require('./lib/pontuacao');
+const { fecharNavegador } = require('./lib/navegador');
+const { iniciarServidor } = require('./lib/servidor');
+const { gravarRelatorios } = require('./lib/relatorios');
+const { carregarChecks, resolverChecks, executarChecks, dadosPublicos } = require('./lib/checks');
 
 // Importa blessed e blessed-contrib
 const blessed = require('blessed');
 const contrib = require('blessed-contrib');
 
+// --- Configuração e Verificações Ativas ---
+// Verificações nativas (checks/) e, opcionalmente, as de um diretório próprio (--checks-dir)
+function prepararChecks(opcoes) {
+  const todos = carregarChecks(path.join(__dirname, 'checks'));
+  if (opcoes.checksDir && path.resolve(opcoes.checksDir) !== path.join(__dirname, 'checks')) {
+    if (!fs.existsSync(opcoes.checksDir)) throw new Error(`Diretório de verificações não encontrado: ${opcoes.checksDir}`);
+    todos.push(...carregarChecks(opcoes.checksDir));
+  }
+  return resolverChecks(todos, { ativar: opcoes.enableChecks, desativar: opcoes.disableChecks });
+}
+
+let opcoes, checksAtivos, avisosChecks;
+try {
+  opcoes = carregarOpcoes(process.argv.slice(2));
+  ({ checks: checksAtivos, avisos: avisosChecks } = prepararChecks(opcoes));
+} catch (e) {
+  console.error(e.message);
+  process.exit(2);
+}
+definirIntervaloPorHost(opcoes.hostInterval);
+definirPastaSaida(opcoes.outputDir);
+
 // --- Configuração da Interface ---
+// A interface só é criada no modo interativo; no modo headless (cron, CI,
+// SSH sem TTY) os widgets ficam nulos e o progresso vai para o stderr.
+let screen = null, header = null, siteList = null, resumoChart = null, detailsBox = null, trendChart = null, logBox = null;
+let filtroPrompt = null;
+
+function criarInterface() {
+  // Cria a tela principal
+  screen = blessed.screen({
+    smartCSR: true,
+    title: 'Verificação de Sites WordPress'
+  });
 
-// Cria a tela principal
-const screen = blessed.screen({
-  smartCSR: true,
-  title: 'Verificação de Sites WordPress'
-});
+  // Cria um grid com 12 linhas x 12 colunas
+  const grid = new contrib.grid({ rows: 12, cols: 12, screen: screen });
 
-// Cria um grid com 12 linhas x 12 colunas
-const grid = new contrib.grid({ rows: 12, cols: 12, screen: screen });
+  // Cabeçalho: 3 linhas, toda a largura
+  header = grid.set(0, 0, 3, 12, blessed.box, {
+    content: printHeader() + "\nIniciando verificação dos sites",
+    tags: true,
+    border: { type: 'line', fg: 'cyan' },
+    style: { fg: 'cyan', bold: true }
+  });
 
-// Cabeçalho: 3 linhas, toda a largura
-const header = grid.set(0, 0, 3, 12, blessed.box, {
-  content: printHeader() + "\nIniciando verificação dos sites",
-  tags: true,
-  border: { type: 'line', fg: 'cyan' },
-  style: { fg: 'cyan', bold: true }
-});
+  // Painel Esquerdo: Lista de Sites (5 linhas, 25% da largura)
+  siteList = grid.set(3, 0, 5, 3, blessed.list, {
+    label: 'Sites',
+    tags: true,
+    border: { type: 'line', fg: 'blue' },
+    keys: true,
+    vi: true,
+    mouse: true,
+    style: {
+      selected: { bg: 'blue' },
+      border: { fg: 'blue' }
+    }
+  });
 
-// Painel Esquerdo: Lista de Sites (6 linhas, 25% da largura)
-const siteList = grid.set(3, 0, 8, 3, blessed.list, {
-  label: 'Sites',
-  border: { type: 'line', fg: 'blue' },
-  keys: true,
-  vi: true,
-  mouse: true,
-  style: {
-    selected: { bg: 'blue' },
-    border: { fg: 'blue' }
-  }
-});
+  // Abaixo da lista: quantidade de sites por situação (3 linhas, 25% da largura)
+  resumoChart = grid.set(8, 0, 3, 3, contrib.stackedBar, {
+    label: 'Resumo',
+    barWidth: 4,
+    barSpacing: 7,
+    xOffset: 1,
+    maxValue: 1,
+    showLegend: false,
+    barBgColor: ['green', 'yellow', 'red', 'grey'],
+    border: { type: 'line', fg: 'blue' }
+  });
 
-// Painel Direito: Detalhes do Site (6 linhas, 75% da largura)
-const detailsBox = grid.set(3, 3, 8, 9, blessed.box, {
-  label: 'Detalhes do Site',
-  border: { type: 'line', fg: 'magenta' },
-  scrollable: true,
-  alwaysScroll: true,
-  keys: true,
-  vi: true,
-  mouse: true,
-  scrollbar: { ch: ' ', inverse: true },
-  content: 'Aguardando seleção...',
-  tags: true
-});
+  // Painel Direito: Detalhes do Site (5 linhas, 75% da largura)
+  detailsBox = grid.set(3, 3, 5, 9, blessed.box, {
+    label: 'Detalhes do Site',
+    border: { type: 'line', fg: 'magenta' },
+    scrollable: true,
+    alwaysScroll: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    scrollbar: { ch: ' ', inverse: true },
+    content: 'Aguardando seleção...',
+    tags: true
+  });
 
-// Rodapé: Log de Progresso (3 linhas, 100% da largura)
-const logBox = grid.set(11, 0, 1, 12, blessed.log, {
-  label: 'Progresso',
-  tags: true,
-  border: { type: 'line', fg: 'green' },
-  style: { fg: 'white', border: { fg: 'green' } },
-  scrollable: true,
-  alwaysScroll: true
-});
+  // Abaixo dos detalhes: tempo de resposta do site selecionado ao longo das execuções (3 linhas)
+  trendChart = grid.set(8, 3, 3, 9, contrib.line, {
+    label: 'Tempo de Resposta (s) por Execução',
+    showLegend: false,
+    minY: 0,
+    xPadding: 5,
+    xLabelPadding: 3,
+    style: { line: 'yellow', text: 'green', baseline: 'white', border: { fg: 'magenta' } }
+  });
+
+  // Rodapé: Log de Progresso (3 linhas, 100% da largura)
+  logBox = grid.set(11, 0, 1, 12, blessed.log, {
+    label: 'Progresso',
+    tags: true,
+    border: { type: 'line', fg: 'green' },
+    style: { fg: 'white', border: { fg: 'green' } },
+    scrollable: true,
+    alwaysScroll: true
+  });
+
+  // Caixa do filtro da lista (tecla /)
+  filtroPrompt = blessed.prompt({
+    parent: screen,
+    label: ' Filtrar sites ',
+    border: 'line',
+    top: 'center',
+    left: 'center',
+    width: '50%',
+    height: 'shrink',
+    keys: true,
+    tags: true,
+    hidden: true
+  });
+
+  // Permite alternar o foco entre os painéis com as setas direita e esquerda
+  siteList.key(['right'], function() {
+    detailsBox.focus();
+  });
+  detailsBox.key(['left'], function() {
+    siteList.focus();
+  });
 
-// Renderiza a tela inicial
-screen.render();
+  // Renderiza a tela inicial
+  screen.render();
+}
 
 // --- Funções de Log e Atualização ---
 function logProgress(message) {
+  if (!screen) {
+    process.stderr.write(message + '\n');
+    return;
+  }
   logBox.log(message);
   screen.render();
 }
 
+function updateHeader(text) {
+  if (!screen) {
+    process.stderr.write(text + '\n');
+    return;
+  }
+  header.setContent(text);
+  screen.render();
+}
+
 function updateDetails(text) {
   detailsBox.setContent(text);
   screen.render();
 }
 
-function updateSiteList(url) {
-  if (!siteList.items.find(item => item.getText() === url)) {
-    siteList.addItem(url);
-    screen.render();
-  }
+function updateTrendChart(url) {
+  const execucoes = lerHistorico(url);
+  const { tempos } = resumirTendencias(execucoes);
+  trendChart.setData([{
+    title: url,
+    // Rótulo "MM-DD hh:mm"; execuções sem resposta aparecem como 0
+    x: execucoes.map(execucao => execucao.data.slice(5, 16).replace('T', ' ')),
+    y: tempos.map(tempo => (tempo === null ? 0 : tempo))
+  }]);
+  screen.render();
 }
 
-// Permite alternar o foco entre os painéis com as setas direita e esquerda
-siteList.key(['right'], function() {
-  detailsBox.focus();
-});
-detailsBox.key(['left'], function() {
-  siteList.focus();
-});
-
-// --- Função para criar hyperlink OSC 8 (para terminais compatíveis) ---
-function makeHyperlink(filePath, text) {
-  const normalizedPath = filePath.split(path.sep).join('/');
-  return `\u001b]8;;file:///${normalizedPath}\u0007${text}\u001b]8;;\u0007`;
+// URLs na ordem em que aparecem na lista, com null nos títulos dos grupos (os itens têm tags de
+// cor, então o texto não serve de chave)
+const urlsNaLista = [];
+
+// Todos os sites do arquivo de links, na ordem do arquivo (os ainda não verificados ficam pendentes)
+const sitesNaLista = [];
+
+// Ícone e cor de cada situação na lista
+const ICONES = {
+  online: ['green', '●'],
+  degradado: ['yellow', '▲'],
+  offline: ['red', '✖'],
+  verificando: ['cyan', '◌'],
+  pendente: ['grey', '○'],
+  desconhecido: ['white', '●']
+};
+
+function situacaoNaLista(url) {
+  if (verificando.has(url)) return 'verificando';
+  const publicos = estadoPorSite[url] && estadoPorSite[url].publicos;
+  if (!publicos) return 'pendente';
+  if (publicos.disponibilidade && publicos.disponibilidade.situacao === 'degradado') return 'degradado';
+  return publicos.online === true ? 'online' : publicos.online === false ? 'offline' : 'desconhecido';
 }
 
-// --- Funções Auxiliares de Verificação (as mesmas de versões anteriores) ---
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Agrupamentos da lista (tecla a): os grupos de cada site (um site com várias tags aparece em cada uma)
+const AGRUPAMENTOS = [
+  { nome: null, grupos: null },
+  { nome: 'cliente', grupos: site => [site.client || '(sem cliente)'] },
+  { nome: 'tag', grupos: site => (site.tags.length ? site.tags : ['(sem tag)']) }
+];
+let agrupamento = 0;
+
+// Ordenações da lista (tecla o); a ordem do arquivo desempata e os sites sem resultado ficam no final
+const publicosDe = site => (estadoPorSite[site.url] ? estadoPorSite[site.url].publicos : null);
+const scoreDe = site => (publicosDe(site) ? publicosDe(site).score.total : -1);
+const tempoDe = site => (publicosDe(site) && typeof publicosDe(site).respTime === 'number' ? publicosDe(site).respTime : Infinity);
+const ORDEM_SITUACAO = ['offline', 'degradado', 'desconhecido', 'online', 'verificando', 'pendente'];
+const ORDENACOES = [
+  { nome: null, comparar: () => 0 },
+  { nome: 'score', comparar: (a, b) => scoreDe(b) - scoreDe(a) },
+  { nome: 'tempo de resposta', comparar: (a, b) => (tempoDe(a) === tempoDe(b) ? 0 : tempoDe(a) < tempoDe(b) ? -1 : 1) },
+  { nome: 'status', comparar: (a, b) => ORDEM_SITUACAO.indexOf(situacaoNaLista(a.url)) - ORDEM_SITUACAO.indexOf(situacaoNaLista(b.url)) }
+];
+let ordenacao = 0;
+
+// Atalhos da interface, exibidos no log ao fim da verificação
+const TECLAS = 'Teclas: Enter detalhes, / filtrar, o ordenar, a agrupar, r verificar de novo, s screenshot, e exportar, ESC/q sair.';
+
+// Filtro da lista (tecla /): trecho da URL, do cliente ou de uma tag
+let filtroDaLista = '';
+
+function correspondeAoFiltro(site) {
+  const texto = [site.url, site.client, ...site.tags].filter(Boolean).join(' ').toLowerCase();
+  return texto.includes(filtroDaLista.toLowerCase());
 }
 
-function hashContent(data) {
-  return crypto.createHash('md5').update(data).digest('hex');
+// Resumo de todos os sites (sem o filtro): quantidade por situação e score médio
+function atualizarResumo() {
+  const contagem = { online: 0, degradado: 0, offline: 0, pendente: 0 };
+  sitesNaLista.forEach(site => {
+    const situacao = situacaoNaLista(site.url);
+    if (situacao in contagem) contagem[situacao]++;
+    else if (situacao === 'verificando') contagem.pendente++;
+  });
+  const scores = sitesNaLista.map(publicosDe).filter(Boolean).map(publicos => publicos.score.total);
+  resumoChart.setLabel(scores.length
+    ? `Resumo (score médio ${Math.round(scores.reduce((total, score) => total + score, 0) / scores.length)})`
+    : 'Resumo');
+  // Uma pilha por barra, para cada barra ter a sua cor
+  const valores = Object.values(contagem);
+  resumoChart.setData({
+    barCategory: ['ON', 'DEG', 'OFF', 'PEND'],
+    stackedCategory: ['ON', 'DEG', 'OFF', 'PEND'],
+    data: valores.map((valor, i) => valores.map((outro, j) => (i === j ? valor : 0)))
+  });
 }
 
-function criarPastas(domain) {
-  const baseFolder = 'dominios';
-  if (!fs.existsSync(baseFolder)) fs.mkdirSync(baseFolder);
-  const domainPath = path.join(baseFolder, domain);
-  if (!fs.existsSync(domainPath)) fs.mkdirSync(domainPath);
-  return domainPath;
+// Redesenha a lista com o filtro, a ordenação e o agrupamento atuais, mantendo o site selecionado
+function desenharListaDeSites() {
+  if (!siteList) return;
+  const selecionada = urlsNaLista[siteList.selected];
+  const itemDoSite = (site, recuo) => {
+    const [cor, icone] = ICONES[situacaoNaLista(site.url)];
+    return `${recuo}{${cor}-fg}${icone}{/${cor}-fg} ${site.critical ? '{bold}!{/bold} ' : ''}{${cor}-fg}${site.url}{/${cor}-fg}`;
+  };
+  const { nome: ordem, comparar } = ORDENACOES[ordenacao];
+  const visiveis = sitesNaLista
+    .filter(correspondeAoFiltro)
+    .sort((a, b) => comparar(a, b) || sitesNaLista.indexOf(a) - sitesNaLista.indexOf(b));
+  const itens = [];
+  urlsNaLista.length = 0;
+  const { nome, grupos } = AGRUPAMENTOS[agrupamento];
+  if (!visiveis.length) {
+    itens.push('{grey-fg}Nenhum site corresponde ao filtro{/grey-fg}');
+    urlsNaLista.push(null);
+  } else if (!grupos) {
+    visiveis.forEach(site => { itens.push(itemDoSite(site, '')); urlsNaLista.push(site.url); });
+  } else {
+    const porGrupo = new Map();
+    visiveis.forEach(site => grupos(site).forEach(grupo => porGrupo.set(grupo, [...(porGrupo.get(grupo) || []), site])));
+    // Grupos em ordem alfabética, com os sites sem cliente/tag no final
+    const nomes = [...porGrupo.keys()].sort((a, b) => (a.startsWith('(') - b.startsWith('(')) || a.localeCompare(b));
+    for (const grupo of nomes) {
+      itens.push(`{cyan-fg}{bold}${blessed.escape(grupo)} (${porGrupo.get(grupo).length}){/bold}{/cyan-fg}`);
+      urlsNaLista.push(null);
+      porGrupo.get(grupo).forEach(site => { itens.push(itemDoSite(site, '  ')); urlsNaLista.push(site.url); });
+    }
+  }
+  const descricao = [nome && `por ${nome}`, ordem && `ordem: ${ordem}`, filtroDaLista && `filtro: "${filtroDaLista}"`].filter(Boolean);
+  siteList.setLabel(descricao.length ? `Sites (${descricao.join(', ')})` : 'Sites');
+  siteList.setItems(itens);
+  // Se o site selecionado saiu da lista, seleciona o primeiro (e não um título de grupo)
+  const indice = urlsNaLista.indexOf(selecionada);
+  if (indice !== -1) siteList.select(indice);
+  else if (!urlsNaLista[siteList.selected] && urlsNaLista.some(Boolean)) siteList.select(urlsNaLista.findIndex(Boolean));
+  atualizarResumo();
+  screen.render();
 }
 
-function contarVersoes(domainPath, dateBase) {
-  let count = 0;
-  const files = fs.readdirSync(domainPath);
-  for (const file of files) {
-    if (file.startsWith(dateBase) && file.endsWith('.html')) count++;
-  }
-  return count;
+// --- Função para criar hyperlink OSC 8 (para terminais compatíveis) ---
+function makeHyperlink(filePath, text) {
+  const normalizedPath = filePath.split(path.sep).join('/');
+  return `\u001b]8;;file:///${normalizedPath}\u0007${text}\u001b]8;;\u0007`;
 }
 
-function getLastVersionFile(domainPath, dateBase) {
-  let versions = [];
-  const files = fs.readdirSync(domainPath);
-  for (const file of files) {
-    if (file.startsWith(dateBase) && file.endsWith('.html')) {
-      const num = file === `${dateBase}.html` ? 0 : parseInt(file.replace(dateBase + '_', '').replace('.html', ''), 10) || 0;
-      versions.push({ num, file });
+// --- Funções Auxiliares ---
+// Executa tarefa(item, indice) para cada item, com no máximo "limite" execuções simultâneas
+async function executarEmPool(itens, limite, tarefa) {
+  let proximo = 0;
+  const trabalhadores = Array.from({ length: Math.min(limite, itens.length) }, async () => {
+    while (proximo < itens.length) {
+      const indice = proximo++;
+      await tarefa(itens[indice], indice);
     }
-  }
-  if (!versions.length) return null;
-  versions.sort((a, b) => a.num - b.num);
-  return versions[versions.length - 1].file;
-}
-
-function salvarConteudo(domainPath, content) {
-  const hoje = new Date().toISOString().slice(0,10);
-  const now = Date.now();
-  const threshold = 600000;
-  const lastFile = getLastVersionFile(domainPath, hoje);
-  if (lastFile) {
-    const lastFilePath = path.join(domainPath, lastFile);
-    const stats = fs.statSync(lastFilePath);
-    if ((now - stats.mtimeMs) < threshold) {
-      return { savedFile: null, totalVersoes: contarVersoes(domainPath, hoje) };
-    }
-    const existingContent = fs.readFileSync(lastFilePath);
-    if (hashContent(existingContent) === hashContent(content)) {
-      return { savedFile: null, totalVersoes: contarVersoes(domainPath, hoje) };
-    } else {
-      let novoNome = lastFile === `${hoje}.html` ? `${hoje}_1.html` : `${hoje}_${parseInt(lastFile.replace(hoje + '_', '').replace('.html', ''),10)+1}.html`;
-      fs.writeFileSync(path.join(domainPath, novoNome), content);
-      return { savedFile: novoNome, totalVersoes: contarVersoes(domainPath, hoje) };
-    }
-  } else {
-    const novoNome = `${hoje}.html`;
-    fs.writeFileSync(path.join(domainPath, novoNome), content);
-    return { savedFile: novoNome, totalVersoes: contarVersoes(domainPath, hoje) };
-  }
+  });
+  await Promise.all(trabalhadores);
 }
 
 function printHeader() {
@@ -215,465 +404,515 @@ function printHeader() {
   `;
 }
 
-// --- Funções de Verificação ---
-async function verificarSite(url) {
-  let onlineResults = [];
-  let content = null;
-  try {
-    const r1 = await axios.get(url, { timeout: 10000 });
-    onlineResults.push(r1.status === 200);
-    if (r1.status === 200 && !content) content = r1.data;
-  } catch (e) { onlineResults.push(false); }
-  try {
-    const r2 = await axios.head(url, { timeout: 10000 });
-    onlineResults.push(r2.status < 400);
-  } catch (e) { onlineResults.push(false); }
-  try {
-    const r3 = await axios.get(url, { headers: { 'User-Agent': 'Mozilla/5.0' }, timeout: 10000 });
-    onlineResults.push(r3.status === 200);
-    if (r3.status === 200 && !content) content = r3.data;
-  } catch (e) { onlineResults.push(false); }
-  try {
-    const urlBarra = url.endsWith('/') ? url : url + '/';
-    const r4 = await axios.get(urlBarra, { timeout: 10000 });
-    onlineResults.push(r4.status === 200);
-    if (r4.status === 200 && !content) content = r4.data;
-  } catch (e) { onlineResults.push(false); }
-  try {
-    const parsed = new URL(url);
-    const hostname = parsed.hostname;
-    let socketSuccess = false;
-    for (const port of [80, 443]) {
-      try {
-        await new Promise((resolve, reject) => {
-          const socket = net.createConnection(port, hostname, () => {
-            socket.end();
-            socketSuccess = true;
-            resolve();
-          });
-          socket.on('error', reject);
-        });
-        if (socketSuccess) break;
-      } catch (e) { continue; }
-    }
-    onlineResults.push(socketSuccess);
-  } catch (e) { onlineResults.push(false); }
-  return { online: onlineResults.some(r => r), content };
-}
+// --- Armazenamento dos detalhes de cada site ---
+const resultsBySite = {}; // { url: detalhes completos }
 
-async function checkResponseTime(url) {
-  try {
-    const start = performance.now();
-    const response = await axios.get(url, { timeout: 10000 });
-    const end = performance.now();
-    return { respTime: (end - start) / 1000, response };
-  } catch (e) {
-    return { respTime: null, response: null };
-  }
+// Estado de cada site entre rodadas: { dados (inclusive internos), publicos, ultimaExecucao: { id: ms } }
+const estadoPorSite = {};
+
+// URLs dos sites sendo verificados agora (numa rodada ou a pedido do painel web)
+const verificando = new Set();
+
+// Resumo do histórico de execuções do site (uptime e última mudança)
+function composeTendencias(url) {
+  const { execucoes, uptime, ultimaMudanca } = resumirTendencias(lerHistorico(url));
+  if (!execucoes) return 'Histórico: nenhuma execução registrada';
+  const uptimeStr = uptime >= 99 ? chalk.green(`${uptime.toFixed(1)}%`)
+                    : uptime >= 90 ? chalk.yellow(`${uptime.toFixed(1)}%`)
+                    : chalk.red(`${uptime.toFixed(1)}%`);
+  const mudancaStr = ultimaMudanca
+    ? `${ultimaMudanca.data.slice(0, 16).replace('T', ' ')} (${ultimaMudanca.mudancas.join(', ')})`
+    : chalk.gray('Nenhuma');
+  return `Histórico (${execucoes} execuções):
+Uptime: ${uptimeStr}
+Última mudança: ${mudancaStr}`;
 }
 
-async function checkRedirectionChain(url) {
-  let chain = [];
-  let currentUrl = url;
-  for (let i = 0; i < 10; i++) {
-    try {
-      const response = await axios.head(currentUrl, {
-        timeout: 10000,
-        maxRedirects: 0,
-        validateStatus: status => status >= 300 && status < 400
-      });
-      const location = response.headers.location;
-      if (location) {
-        chain.push(location);
-        currentUrl = new URL(location, currentUrl).href;
-      } else break;
-    } catch (e) { break; }
-  }
-  return chain;
+// Score final (faixas: até 40 vermelho, até 90 amarelo, acima verde), por categoria e por regra
+function corDoScore(valor) {
+  return valor > 90 ? chalk.bold.green : valor > 40 ? chalk.bold.yellow : chalk.bold.red;
 }
 
-function checkSSLCertificate(hostname, port = 443) {
-  return new Promise((resolve) => {
-    const socket = tls.connect(port, hostname, { rejectUnauthorized: false }, () => {
-      const cert = socket.getPeerCertificate();
-      socket.end();
-      resolve(cert && cert.valid_to ? { valid: true, expiry: cert.valid_to } : { valid: false, expiry: null });
-    });
-    socket.on('error', () => resolve({ valid: false, expiry: null }));
+function composeScore(score) {
+  const categorias = Object.entries(CATEGORIAS)
+    .filter(([categoria]) => score[categoria] !== null)
+    .map(([categoria, rotulo]) => `${rotulo} ${corDoScore(score[categoria])(`${score[categoria]}%`)}`);
+  const regras = score.detalhes.map(d => {
+    const perdidos = Math.round((d.maximo - d.pontos) * 10) / 10;
+    const pontos = perdidos ? chalk.red(`-${perdidos}`) : chalk.green(`+${d.pontos}`);
+    return `   ${pontos} ${d.rotulo}: ${chalk.gray(d.motivo)} (${d.pontos}/${d.maximo})`;
   });
+  return `Score: ${corDoScore(score.total)(`${score.total}/100`)}
+${categorias.join(' | ')}
+${regras.join('\n')}`;
 }
 
-async function checkDNSResolution(domain) {
-  try {
-    const ips = await dns.resolve(domain);
-    return ips;
-  } catch (e) { return []; }
+// Metadados do inventário (cliente, tags, ambiente...), se houver
+function composeMetadados(site) {
+  const partes = [
+    site.critical && chalk.red.bold('CRÍTICO'),
+    site.client && `Cliente: ${site.client}`,
+    site.tags.length && `Tags: ${site.tags.join(', ')}`,
+    site.environment && `Ambiente: ${site.environment}`,
+    site.owner && `Responsável: ${site.owner}`,
+    site.wordpress !== null && `WordPress esperado: ${site.wordpress ? 'sim' : 'não'}`
+  ].filter(Boolean);
+  return partes.length ? `\n${partes.join(' | ')}` : '';
 }
 
-function pingHost(domain) {
-  return new Promise((resolve) => {
-    const param = process.platform === 'win32' ? '-n' : '-c';
-    exec(`ping ${param} 1 ${domain}`, (error) => {
-      resolve(!error);
-    });
-  });
+// Função para compor os detalhes completos de um site, uma linha por verificação ativa
+function composeDetails(site, data) {
+  const { url } = site;
+  const ctx = { url, dominio: new URL(url).hostname, site, opcoes };
+  const linhas = checksAtivos.map((check, i) => `${i + 1}. ${check.rotulo}: ${check.formatar(data, ctx)}`);
+
+  return `
+Site: ${url}${composeMetadados(site)}
+--------------------------------------------------
+${linhas.join('\n')}
+--------------------------------------------------
+${composeScore(data.score)}
+--------------------------------------------------
+${composeTendencias(url)}
+--------------------------------------------------
+`;
 }
 
-function getContentType(response) {
-  return (response && response.headers && response.headers['content-type']) || 'N/A';
+// --- Processamento de um Site ---
+// Os sites são processados em paralelo, então o percentual é calculado sobre o
+// total de passos de todos os sites e exibido em cada linha do log.
+const progresso = { concluidos: 0, total: 0 };
+
+function percentualConcluido() {
+  return `${((progresso.concluidos / progresso.total) * 100).toFixed(2)}%`;
 }
 
-function getPageTitle(content) {
-  try {
-    const $ = cheerio.load(content);
-    return $('title').text().trim() || 'N/A';
-  } catch (e) { return 'N/A'; }
+function concluirPasso(url, check, erro) {
+  progresso.concluidos++;
+  const situacao = erro ? `${check.rotulo}: falhou (${erro.message})` : check.descricao;
+  logProgress(`(${percentualConcluido()}) Site: ${url} [${situacao}]`);
 }
 
-function checkErrorPatterns(content) {
-  const errorKeywords = ["404", "not found", "error", "503", "maintenance"];
-  let text = (typeof content === 'string') ? content.toLowerCase() : (Buffer.isBuffer(content) ? content.toString('utf8').toLowerCase() : "");
-  return errorKeywords.filter(word => text.includes(word));
+// Avalia as regras de alerta com os campos das verificações que rodaram nesta rodada
+// (os guardados de rodadas anteriores não contam de novo) e registra os eventos no log
+async function alertarSite(url, checks, dados) {
+  const campos = checks.flatMap(check => Object.keys(check.esquema)).filter(campo => campo in dados);
+  const atualizados = Object.fromEntries(campos.map(campo => [campo, dados[campo]]));
+  const { eventos, falhas } = await processarAlertas(url, atualizados, opcoes);
+  for (const evento of eventos) {
+    const recuperacao = evento.tipo === 'recuperacao';
+    const mensagem = `[${recuperacao ? 'RECUPERADO' : 'ALERTA'}] ${url}: ${evento.mensagem}`;
+    logProgress(recuperacao ? chalk.green.bold(mensagem) : chalk.red.bold(mensagem));
+  }
+  for (const falha of falhas) logProgress(chalk.yellow(`Falha ao enviar alerta de ${url} (${falha})`));
 }
 
-async function checkRobotsTxt(url) {
-  try {
-    const parsed = new URL(url);
-    const base = `${parsed.protocol}//${parsed.hostname}`;
-    const res = await axios.get(base + '/robots.txt', { timeout: 10000 });
-    return res.status === 200;
-  } catch (e) { return false; }
+/**
+ * Executa as verificações informadas para um site (por padrão, todas as ativas), registra a
+ * execução no histórico, avalia os alertas e devolve { publicos, transicoes }: os dados brutos, sem formatação e
+ * sem os campos internos, e as mudanças relevantes em relação à rodada anterior. Cada
+ * verificação começa assim que suas dependências terminam; as que não rodaram mantêm o
+ * resultado da rodada anterior.
+ */
+async function processarSite(site, checks = checksAtivos) {
+  const { url } = site;
+  const estado = estadoPorSite[url] || (estadoPorSite[url] = { dados: {}, publicos: null, ultimaExecucao: {} });
+  logProgress(`(${percentualConcluido()}) Processando site: ${url}`);
+  const ctx = { url, dominio: new URL(url).hostname, site, dados: { ...estado.dados }, opcoes };
+  const inicio = Date.now();
+  const dados = await executarChecks(checks, ctx, (check, erro) => concluirPasso(url, check, erro));
+  checks.forEach(check => { estado.ultimaExecucao[check.id] = inicio; });
+
+  const publicos = { url, metadados: metadadosDoSite(site), ...dadosPublicos(checksAtivos, dados) };
+  publicos.score = computeScore(publicos, url, opcoes.scoreWeights);
+  const transicoes = detectarTransicoes(estado.publicos, publicos, opcoes);
+  estado.dados = dados;
+  estado.publicos = publicos;
+  registrarExecucao(url, publicos);
+  for (const transicao of transicoes) {
+    const mensagem = `[MUDANÇA] ${url}: ${transicao.mensagem}`;
+    logProgress(transicao.grave ? chalk.red.bold(mensagem) : chalk.green.bold(mensagem));
+  }
+  await alertarSite(url, checks, dados);
+  return { publicos, transicoes };
 }
 
-async function checkSitemapXml(url) {
-  try {
-    const parsed = new URL(url);
-    const base = `${parsed.protocol}//${parsed.hostname}`;
-    const res = await axios.get(base + '/sitemap.xml', { timeout: 10000 });
-    return res.status === 200;
-  } catch (e) { return false; }
+// Verificação interrompida por um erro (ex.: falha ao gravar o histórico ou o estado dos alertas):
+// o site fica com o erro no resultado (e conta como falha), mantendo o último resultado se houver
+function registrarFalhaDoSite(site, erro) {
+  const estado = estadoPorSite[site.url] || (estadoPorSite[site.url] = { dados: {}, publicos: null, ultimaExecucao: {} });
+  const semResultado = {
+    url: site.url,
+    metadados: metadadosDoSite(site),
+    score: { total: 0, ...Object.fromEntries(Object.keys(CATEGORIAS).map(categoria => [categoria, null])), detalhes: [] }
+  };
+  estado.publicos = { ...(estado.publicos || semResultado), erro: erro.message };
+  logProgress(chalk.red(`Falha ao verificar ${site.url} (${erro.message})`));
 }
 
-function checkMetaRefresh(content) {
-  try {
-    const $ = cheerio.load(content);
-    return $('meta[http-equiv="refresh"]').length > 0;
-  } catch (e) { return false; }
+// Executa uma rodada: para cada site, as verificações pendentes (na primeira rodada, todas)
+async function executarRodada(sites, aoConcluirSite) {
+  const agora = Date.now();
+  const pendentes = sites
+    .map(site => {
+      const estado = estadoPorSite[site.url];
+      return { site, checks: checksPendentes(checksAtivos, estado ? estado.ultimaExecucao : {}, agora, opcoes) };
+    })
+    .filter(({ site, checks }) => checks.length && !verificando.has(site.url));
+  progresso.concluidos = 0;
+  progresso.total = pendentes.reduce((total, { checks }) => total + checks.length, 0);
+  const verificados = [];
+  await executarEmPool(pendentes, opcoes.concurrency, async ({ site, checks }) => {
+    verificando.add(site.url);
+    desenharListaDeSites();
+    try {
+      const { publicos } = await processarSite(site, checks);
+      verificados.push(site);
+      aoConcluirSite(site, publicos);
+      logProgress(`(${percentualConcluido()}) Site ${site.url} concluído.`);
+    } catch (e) {
+      registrarFalhaDoSite(site, e);
+    } finally {
+      verificando.delete(site.url);
+      desenharListaDeSites();
+    }
+  });
+  await gerarRelatorios(verificados, sites);
+  // O Chrome compartilhado pelos screenshots só fica aberto enquanto houver verificações
+  if (!verificando.size) await fecharNavegador();
 }
 
-async function checkWordpressFeatures(content, baseUrl) {
-  let features = {};
-  let text = (typeof content === 'string') ? content.toLowerCase() : (Buffer.isBuffer(content) ? content.toString('utf8').toLowerCase() : "");
-  features.wp_content = text.includes("wp-content");
-  features.wp_includes = text.includes("wp-includes");
-  features.meta_generator = false;
-  try {
-    const $ = cheerio.load(content);
-    const meta = $('meta[name="generator"]').attr('content');
-    if (meta && meta.toLowerCase().includes("wordpress")) features.meta_generator = true;
-  } catch (e) { }
-  try {
-    const wpJsonUrl = baseUrl.replace(/\/+$/, "") + "/wp-json/";
-    const res = await axios.get(wpJsonUrl, { timeout: 10000 });
-    features.wp_json = (res.status === 200);
-  } catch (e) { features.wp_json = false; }
-  try {
-    const wpAdminUrl = baseUrl.replace(/\/+$/, "") + "/wp-admin/";
-    const res = await axios.get(wpAdminUrl, { timeout: 10000 });
-    features.wp_admin = ((res.status === 200 || res.status === 302) && res.data.toLowerCase().includes("login"));
-  } catch (e) { features.wp_admin = false; }
-  return features;
+// Relatórios HTML/PDF (--reports): um por site verificado na rodada e o resumo de todos os sites
+async function gerarRelatorios(verificados, sites) {
+  if (!opcoes.reports.length || !verificados.length) return;
+  const resultado = site => {
+    const dados = estadoPorSite[site.url] ? estadoPorSite[site.url].publicos : null;
+    return { site, dados, motivos: dados ? motivosFalha(dados, opcoes.minScore) : [] };
+  };
+  const ordenados = sites.filter(site => verificados.includes(site));
+  const { arquivos, erros } = await gravarRelatorios(ordenados.map(resultado), sites.map(resultado), checksAtivos, opcoes);
+  const resumo = arquivos.find(arquivo => path.basename(arquivo).startsWith('resumo-'));
+  logProgress(`Relatórios salvos: ${arquivos.length} arquivo(s)${resumo ? `, resumo em ${resumo}` : ''}`);
+  for (const erro of erros) logProgress(chalk.yellow(`Falha ao gerar relatório (${erro})`));
 }
 
-function medirDesempenho(respTime) {
-  if (respTime === null) return 0;
-  if (respTime < 0.5) return 100;
-  else if (respTime < 1) return 90;
-  else if (respTime < 1.5) return 80;
-  else if (respTime < 2) return 70;
-  else if (respTime < 2.5) return 60;
-  else return 50;
+// Verificação avulsa de um site, pedida pelo painel web ou pela tecla r da interface: todas as
+// verificações ativas, em segundo plano. Devolve false se o site já está sendo verificado.
+function reverificarSite(site, aoConcluirSite, origem = 'pelo painel') {
+  if (verificando.has(site.url)) return false;
+  verificando.add(site.url);
+  desenharListaDeSites();
+  progresso.total += checksAtivos.length;
+  logProgress(`Nova verificação de ${site.url} pedida ${origem}`);
+  processarSite(site)
+    .then(({ publicos }) => {
+      aoConcluirSite(site, publicos);
+      logProgress(`(${percentualConcluido()}) Site ${site.url} concluído.`);
+    })
+    .catch(e => registrarFalhaDoSite(site, e))
+    .then(() => {
+      verificando.delete(site.url);
+      desenharListaDeSites();
+      if (!verificando.size) return fecharNavegador();
+      return null;
+    })
+    .catch(e => logProgress(chalk.yellow(`Falha ao fechar o Chrome (${e.message})`)));
+  return true;
 }
 
-async function takeScreenshot(url, outputFile) {
+// Painel web e API REST (--serve); se a porta não estiver livre, o script termina
+async function servirPainel(sites, aoConcluirSite) {
+  const estadoDoSite = url => {
+    const estado = estadoPorSite[url];
+    const execucoes = estado ? Object.values(estado.ultimaExecucao) : [];
+    return {
+      publicos: estado ? estado.publicos : null,
+      verificando: verificando.has(url),
+      ultimaVerificacao: execucoes.length ? new Date(Math.max(...execucoes)).toISOString() : null
+    };
+  };
   try {
-    const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
-    const page = await browser.newPage();
-    await page.setViewport({ width: 1280, height: 800 });
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 20000 });
-    await page.screenshot({ path: outputFile });
-    await browser.close();
-    return true;
+    await iniciarServidor({
+      porta: opcoes.serve,
+      host: opcoes.serveHost,
+      sites,
+      estadoDoSite,
+      reverificar: site => reverificarSite(site, aoConcluirSite)
+    });
   } catch (e) {
-    return false;
+    updateHeader(`Não foi possível iniciar o painel em ${opcoes.serveHost}:${opcoes.serve} (${e.message})`);
+    await encerrar(1);
   }
+  logProgress(`Painel disponível em http://${opcoes.serveHost}:${opcoes.serve}/`);
+}
+
+// Sai do script sem deixar o Chrome aberto (ex.: ESC no meio de uma rodada)
+async function encerrar(codigo) {
+  await fecharNavegador();
+  process.exit(codigo);
 }
 
-function computeScore(online, respTime, redirChain, url, sslValid, dnsIps, pingSuccess,
-                      contentType, title, errorPatterns, robots, sitemap, metaRefresh) {
-  let score = 0;
-  if (online) score += 30;
-  if (respTime !== null) {
-    if (respTime < 1) score += 10;
-    else if (respTime < 3) score += 5;
+// Modo --watch: repete as rodadas indefinidamente, dormindo até a próxima verificação vencer
+async function monitorar(sites, aoConcluirSite, aoConcluirRodada = () => {}) {
+  for (;;) {
+    const proxima = Math.min(...sites.map(site =>
+      proximaExecucao(checksAtivos, estadoPorSite[site.url].ultimaExecucao, opcoes)));
+    const espera = Math.max(1000, proxima - Date.now());
+    logProgress(`Próxima verificação às ${new Date(Date.now() + espera).toLocaleTimeString()}`);
+    await sleep(espera);
+    await executarRodada(sites, aoConcluirSite);
+    aoConcluirRodada();
   }
-  if (redirChain.length === 0) score += 10;
-  else if (redirChain.length <= 2) score += 5;
-  if (url.toLowerCase().startsWith("https")) {
-    if (sslValid) score += 10;
-  } else score += 5;
-  if (dnsIps.length) score += 5;
-  if (pingSuccess) score += 5;
-  if (contentType.toLowerCase().includes("text/html")) score += 5;
-  if (title !== "N/A") score += 5;
-  if (errorPatterns.length === 0) score += 5;
-  if (robots) score += 5;
-  if (sitemap) score += 5;
-  if (!metaRefresh) score += 5;
-  return score;
 }
 
-// --- Armazenamento dos detalhes de cada site ---
-const resultsBySite = {}; // { url: detalhes completos }
+// --- Saída Estruturada (modo headless) ---
+
+// Motivos pelos quais um site é considerado com falha (define o código de saída).
+// Campos de verificações desativadas não contam como falha.
+function motivosFalha(dados, minScore) {
+  const motivos = [];
+  if (dados.erro) motivos.push(`Falha na verificação (${dados.erro})`);
+  if (dados.online === false) motivos.push(`Site OFFLINE${dados.disponibilidade ? ` (${dados.disponibilidade.motivo})` : ''}`);
+  if (dados.score.total < minScore) motivos.push(`Score ${dados.score.total} abaixo do mínimo de ${minScore}`);
+  // wordpress=true/false no inventário: o site deve (ou não) ser WordPress
+  const esperado = dados.metadados ? dados.metadados.wordpress : null;
+  if (esperado !== null && dados.online && dados.wpFeatures) {
+    const { wp_content, wp_includes, meta_generator } = dados.wpFeatures;
+    const detectado = Boolean(wp_content || wp_includes || meta_generator);
+    if (esperado && !detectado) motivos.push('WordPress esperado, mas não detectado');
+    if (!esperado && detectado) motivos.push('WordPress detectado em site marcado como não WordPress');
+  }
+  return motivos;
+}
 
-// Função para compor os detalhes completos de um site
-function composeDetails(url, data) {
-  const {
-    online, respTime, redirChain, sslValid, sslExpiry, dnsIps, pingSuccess,
-    contentType, pageTitle, erros, robots, sitemap, metaRefresh, wpFeatures,
-    totalVersoes, performanceScore, screenshotFile
-  } = data;
-  const status = online ? chalk.green("ONLINE") : chalk.red("OFFLINE");
-  const respTimeStr = respTime !== null
-    ? (respTime < 1 ? chalk.green(`${respTime.toFixed(2)} s`)
-       : respTime < 3 ? chalk.yellow(`${respTime.toFixed(2)} s`)
-       : chalk.red(`${respTime.toFixed(2)} s`))
-    : chalk.gray("N/A");
-  const sslStr = url.toLowerCase().startsWith("https")
-    ? (sslValid ? chalk.green(`Válido (expira: ${sslExpiry})`)
-       : chalk.red("Inválido/N/A"))
-    : chalk.gray("N/A");
-  const dnsStr = dnsIps.length ? dnsIps.join(', ') : "N/A";
-  const pingStr = pingSuccess ? chalk.green("Sucesso") : chalk.red("Falha");
-  const contentTypeStr = chalk.white(contentType);
-  const titleStr = chalk.white(pageTitle);
-  const errosStr = erros.length ? chalk.red(erros.join(', ')) : chalk.green("Nenhum");
-  const robotsStr = robots ? chalk.green("Encontrado") : chalk.hex('#FFA500')("Não encontrado");
-  const sitemapStr = sitemap ? chalk.green("Encontrado") : chalk.hex('#FFA500')("Não encontrado");
-  const metaRefreshStr = metaRefresh ? chalk.red("Detectado") : chalk.green("Não detectado");
-  const desempenhoStr = performanceScore >= 90 ? chalk.bold.green(`${performanceScore}%`)
-                        : performanceScore >= 70 ? chalk.bold.yellow(`${performanceScore}%`)
-                        : chalk.bold.red(`${performanceScore}%`);
-  const wpDetails = `
-wp-content: ${wpFeatures.wp_content ? chalk.green("Encontrado") : chalk.red("Não encontrado")}
-wp-includes: ${wpFeatures.wp_includes ? chalk.green("Encontrado") : chalk.red("Não encontrado")}
-Meta Generator: ${wpFeatures.meta_generator ? chalk.green("WordPress detectado") : chalk.red("Não detectado")}
-Endpoint /wp-json/: ${wpFeatures.wp_json ? chalk.green("Acessível") : chalk.red("Indisponível")}
-Endpoint /wp-admin/: ${wpFeatures.wp_admin ? chalk.green("Página de Login Detectada") : chalk.red("Não detectada")}
-  `;
-  const printStr = screenshotFile ? screenshotFile : chalk.red("Erro no print");
+// Achata os dados de um site para uma linha de CSV: objetos viram colunas "campo.subcampo"
+// e listas são unidas por ";" (itens que são objetos vão como JSON)
+function valorCsv(valor) {
+  if (Array.isArray(valor)) return valor.map(item => (item && typeof item === 'object' ? JSON.stringify(item) : item)).join(';');
+  return valor && typeof valor === 'object' ? JSON.stringify(valor) : valor;
+}
 
-  return `
-Site: ${url}
---------------------------------------------------
-1. Verificar disponibilidade: ${status}
-2. Medir tempo de resposta: ${respTimeStr}
-3. Redirecionamentos: ${redirChain.length} (${redirChain.join(' -> ') || 'Nenhum'})
-4. Certificado SSL: ${sslStr}
-5. Resolução DNS: ${dnsStr}
-6. Teste de Ping: ${pingStr}
-7. Content-Type: ${contentTypeStr}
-8. Título: ${titleStr}
-9. Erros no conteúdo: ${errosStr}
-10. robots.txt: ${robotsStr}
-11. sitemap.xml: ${sitemapStr}
-12. Meta Refresh: ${metaRefreshStr}
-13. Verificações específicas para WordPress:
-${wpDetails}
-14. Versões Salvas: ${chalk.hex('#FFA500')(totalVersoes.toString())}
-15. Desempenho: ${desempenhoStr}
-16. Print (Screenshot): ${printStr}
---------------------------------------------------
+function achatarParaCsv(dados) {
+  const linha = {};
+  for (const [campo, valor] of Object.entries(dados)) {
+    if (valor && typeof valor === 'object' && !Array.isArray(valor)) {
+      for (const [subcampo, subvalor] of Object.entries(valor)) {
+        linha[`${campo}.${subcampo}`] = valorCsv(subvalor);
+      }
+    } else {
+      linha[campo] = valorCsv(valor);
+    }
+  }
+  return linha;
+}
+
+function escaparCsv(valor) {
+  const texto = valor === null || valor === undefined ? '' : String(valor);
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+function escaparXml(valor) {
+  return String(valor)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatarJson(resultados) {
+  return JSON.stringify(resultados, null, 2) + '\n';
+}
+
+function formatarCsv(resultados) {
+  const linhas = resultados.map(achatarParaCsv);
+  const colunas = [...new Set(linhas.flatMap(linha => Object.keys(linha)))];
+  const saida = [colunas.join(',')];
+  for (const linha of linhas) {
+    saida.push(colunas.map(coluna => escaparCsv(linha[coluna])).join(','));
+  }
+  return saida.join('\n') + '\n';
+}
+
+// Um testsuite com um testcase por site; falha se o site estiver OFFLINE ou abaixo do score mínimo
+function formatarJunit(resultados, minScore) {
+  const casos = resultados.map(dados => {
+    const motivos = motivosFalha(dados, minScore);
+    const tempo = typeof dados.respTime === 'number' ? dados.respTime.toFixed(3) : '0';
+    const falha = motivos.length
+      ? `\n      <failure message="${escaparXml(motivos.join('; '))}"/>`
+      : '';
+    return `    <testcase classname="verifica-sites" name="${escaparXml(dados.url)}" time="${tempo}">${falha}
+      <system-out>${escaparXml(JSON.stringify(dados))}</system-out>
+    </testcase>`;
+  });
+  const falhas = resultados.filter(dados => motivosFalha(dados, minScore).length).length;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites>
+  <testsuite name="verifica-sites" tests="${resultados.length}" failures="${falhas}">
+${casos.join('\n')}
+  </testsuite>
+</testsuites>
 `;
 }
 
+function gerarRelatorioHeadless(resultados) {
+  if (opcoes.format === 'csv') return formatarCsv(resultados);
+  if (opcoes.format === 'junit') return formatarJunit(resultados, opcoes.minScore);
+  return formatarJson(resultados);
+}
+
 // --- Função Principal ---
 async function main() {
-  // Atualiza o cabeçalho e renderiza
-  header.setContent(printHeader() + "\nIniciando verificação dos sites");
-  screen.render();
+  // No modo interativo o cabeçalho já é criado com o banner e a mensagem inicial
+  if (opcoes.headless) logProgress("Iniciando verificação dos sites");
+  else criarInterface();
+  avisosChecks.forEach(aviso => logProgress(aviso));
 
-  const linksFile = 'links.txt';
-  if (!fs.existsSync(linksFile)) {
-    header.setContent("Arquivo de links 'links.txt' não encontrado!");
-    screen.render();
+  if (!fs.existsSync(opcoes.links)) {
+    updateHeader(`Arquivo de links '${opcoes.links}' não encontrado!`);
     process.exit(1);
   }
-  const links = fs.readFileSync(linksFile, 'utf8')
-    .split('\n')
-    .map(line => line.trim())
-    .filter(line => line && !line.startsWith('#'));
-  if (links.length === 0) {
-    header.setContent("Nenhum link encontrado no arquivo.");
-    screen.render();
+  let sites, avisosSites;
+  try {
+    ({ sites, avisos: avisosSites } = carregarSites(opcoes));
+  } catch (e) {
+    updateHeader(`Erro no arquivo de links: ${e.message}`);
     process.exit(1);
   }
-  const totalStepsOverall = links.length * 16;
-  let stepsCompleted = 0;
-
-  for (const url of links) {
-    logProgress(`Processando site: ${url} (${((stepsCompleted / totalStepsOverall) * 100).toFixed(2)}%)`);
-
-    // Passo 1: Disponibilidade
-    const { online, content } = await verificarSite(url);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Disponibilidade verificada]`);
-    await sleep(100);
-
-    // Passo 2: Tempo de Resposta
-    const { respTime, response } = await checkResponseTime(url);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Tempo de resposta medido]`);
-    await sleep(100);
-
-    // Passo 3: Redirecionamentos
-    const redirChain = await checkRedirectionChain(url);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Redirecionamentos verificados]`);
-    await sleep(100);
-
-    // Passo 4: Certificado SSL
-    let sslValid = false, sslExpiry = null;
-    if (url.toLowerCase().startsWith("https")) {
-      const hostname = new URL(url).hostname;
-      const sslInfo = await checkSSLCertificate(hostname);
-      sslValid = sslInfo.valid;
-      sslExpiry = sslInfo.expiry;
-    }
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Certificado SSL verificado]`);
-    await sleep(100);
-
-    // Passo 5: DNS
-    const domain = new URL(url).hostname;
-    const dnsIps = await checkDNSResolution(domain);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [DNS verificado]`);
-    await sleep(100);
-
-    // Passo 6: Ping
-    const pingSuccess = await pingHost(domain);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Ping realizado]`);
-    await sleep(100);
-
-    // Passo 7: Content-Type
-    const contentType = getContentType(response);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Content-Type obtido]`);
-    await sleep(100);
-
-    // Passo 8: Título
-    const pageTitle = getPageTitle(content);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Título extraído]`);
-    await sleep(100);
-
-    // Passo 9: Erros
-    const erros = checkErrorPatterns(content);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Erros verificados]`);
-    await sleep(100);
-
-    // Passo 10: robots.txt
-    const robots = await checkRobotsTxt(url);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [robots.txt verificado]`);
-    await sleep(100);
-
-    // Passo 11: sitemap.xml
-    const sitemap = await checkSitemapXml(url);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [sitemap.xml verificado]`);
-    await sleep(100);
-
-    // Passo 12: Meta Refresh
-    const metaRefresh = checkMetaRefresh(content);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Meta Refresh verificado]`);
-    await sleep(100);
-
-    // Passo 13: Verificações WordPress
-    const baseUrl = url.startsWith("http") ? url : "http://" + url;
-    const wpFeatures = await checkWordpressFeatures(content, baseUrl);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Verificações WordPress realizadas]`);
-    await sleep(100);
-
-    // Passo 14: Salvar conteúdo
-    const domainPath = criarPastas(domain);
-    const { savedFile, totalVersoes } = salvarConteudo(domainPath, typeof content === 'string' ? content : '');
-    const novaVersao = savedFile ? chalk.green("Sim") : chalk.gray("Não");
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Conteúdo salvo]`);
-    await sleep(100);
-
-    // Passo 15: Desempenho
-    const performanceScore = medirDesempenho(respTime);
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Desempenho medido]`);
-    await sleep(100);
-
-    // Passo 16: Screenshot
-    const printFolder = path.join(domainPath, "print");
-    if (!fs.existsSync(printFolder)) fs.mkdirSync(printFolder);
-    const screenshotFile = path.join(printFolder, "homepage.png");
-    const screenshotSuccess = await takeScreenshot(url, screenshotFile);
-    if (screenshotSuccess) {
-      if (process.platform === "win32") {
-        exec(`start "" "${screenshotFile}"`);
-      } else if (process.platform === "darwin") {
-        exec(`open "${screenshotFile}"`);
-      } else {
-        exec(`xdg-open "${screenshotFile}"`);
+  avisosSites.forEach(aviso => logProgress(chalk.yellow(aviso)));
+  if (sites.length === 0) {
+    updateHeader(opcoes.tags.length || opcoes.client
+      ? "Nenhum site do arquivo de links corresponde a --tags/--client."
+      : "Nenhum link encontrado no arquivo.");
+    process.exit(1);
+  }
+  if (opcoes.headless) {
+    // Relatório na ordem do arquivo de links, com o último resultado de cada site
+    const gravarRelatorio = () => {
+      const resultados = sites.map(site => estadoPorSite[site.url].publicos);
+      const relatorio = gerarRelatorioHeadless(resultados);
+      if (opcoes.out) {
+        fs.writeFileSync(opcoes.out, relatorio);
+        logProgress(`Relatório ${opcoes.format} salvo em ${opcoes.out}`);
+      } else if (!opcoes.watch) {
+        process.stdout.write(relatorio);
       }
+      return resultados;
+    };
+    if (opcoes.serve) await servirPainel(sites, () => {});
+    await executarRodada(sites, () => {});
+    const resultados = gravarRelatorio();
+    if (opcoes.watch) {
+      // No monitoramento headless o relatório de --out é regravado a cada rodada
+      await monitorar(sites, () => {}, gravarRelatorio);
+    } else if (opcoes.serve) {
+      logProgress("Verificação concluída. O painel continua disponível; pressione Ctrl+C para sair.");
+      return;
     }
-    stepsCompleted++;
-    logProgress(`Site: ${url} [Screenshot capturado]`);
-    await sleep(100);
-
-    // Compor os detalhes completos e armazenar
-    const details = composeDetails(url, {
-      online, respTime, redirChain, sslValid, sslExpiry, dnsIps, pingSuccess,
-      contentType, pageTitle, erros, robots, sitemap, metaRefresh, wpFeatures,
-      totalVersoes, performanceScore, screenshotFile: screenshotSuccess ? screenshotFile : null
-    });
-    resultsBySite[url] = details;
-    updateSiteList(url);
-    // Se for o primeiro site, atualiza os detalhes automaticamente
-    if (Object.keys(resultsBySite).length === 1) {
-      updateDetails(details);
-      siteList.select(0);
-    }
-    logProgress(`Site ${url} concluído.`);
-    await sleep(500);
+    const falhou = resultados.some(dados => motivosFalha(dados, opcoes.minScore).length);
+    await encerrar(falhou ? 1 : 0);
   }
 
-  logProgress("Processamento finalizado. Use as setas para navegar nos sites. Pressione ESC, q ou Ctrl+C para sair.");
-  screen.render();
-
-  // Ao selecionar um site, exibe seus detalhes
-  siteList.on('select', function(item) {
-    const selectedUrl = item.getText();
-    const details = resultsBySite[selectedUrl] || "Detalhes não disponíveis.";
-    updateDetails(details);
+  // Todos os sites aparecem na lista desde o início, como pendentes
+  sitesNaLista.push(...sites);
+  desenharListaDeSites();
+
+  // Ao selecionar um site, exibe seus detalhes (disponível já durante a verificação)
+  let urlSelecionada = null;
+  const mostrarSite = url => {
+    urlSelecionada = url;
+    updateDetails(resultsBySite[url]
+      || (verificando.has(url) ? `Verificando ${url}...` : `Aguardando a verificação de ${url}...`));
+    updateTrendChart(url);
+  };
+  siteList.on('select', function(item, indice) {
+    // Títulos de grupo não têm detalhes
+    if (urlsNaLista[indice]) mostrarSite(urlsNaLista[indice]);
   });
 
   // Foca na lista para navegação; use as setas direita/esquerda para alternar o foco
   siteList.focus();
-  screen.key(['escape', 'q', 'C-c'], function() {
-    process.exit(0);
+  // Enquanto o filtro está aberto as teclas vão para a caixa de texto, não para as ações
+  let digitandoFiltro = false;
+  const acao = (teclas, executar) => screen.key(teclas, () => { if (!digitandoFiltro) executar(); });
+  acao(['escape', 'q', 'C-c'], () => encerrar(0));
+  const siteSelecionado = () => sites.find(site => site.url === urlsNaLista[siteList.selected]);
+
+  // / filtra a lista por URL, cliente ou tag (vazio limpa o filtro)
+  acao(['/'], () => {
+    digitandoFiltro = true;
+    filtroPrompt.input('URL, cliente ou tag (vazio mostra todos):', filtroDaLista, (erro, valor) => {
+      digitandoFiltro = false;
+      if (typeof valor === 'string') filtroDaLista = valor.trim();
+      desenharListaDeSites();
+      siteList.focus();
+    });
+  });
+  // o alterna a ordenação (arquivo, score, tempo de resposta, status)
+  acao(['o'], () => {
+    ordenacao = (ordenacao + 1) % ORDENACOES.length;
+    desenharListaDeSites();
+  });
+  // a alterna o agrupamento (nenhum, por cliente, por tag)
+  acao(['a'], () => {
+    agrupamento = (agrupamento + 1) % AGRUPAMENTOS.length;
+    desenharListaDeSites();
+  });
+  // r verifica de novo o site selecionado
+  acao(['r'], () => {
+    const site = siteSelecionado();
+    if (site && !reverificarSite(site, aoConcluirSite, 'pelo teclado')) logProgress(`${site.url} já está sendo verificado.`);
   });
+  // s abre o screenshot mais recente do site selecionado
+  acao(['s'], () => {
+    const site = siteSelecionado();
+    if (!site) return;
+    const arquivo = ultimoScreenshot(new URL(site.url).hostname, publicosDe(site));
+    if (!arquivo) return logProgress(`Nenhum screenshot de ${site.url}.`);
+    abrirArquivo(arquivo);
+    logProgress(`Abrindo ${arquivo}`);
+  });
+  // e exporta o último resultado do site selecionado no formato de --format
+  acao(['e'], () => {
+    const site = siteSelecionado();
+    if (!site) return;
+    if (!publicosDe(site)) return logProgress(`${site.url} ainda não foi verificado.`);
+    const pasta = path.join(criarPastas(new URL(site.url).hostname), 'exportacoes');
+    if (!fs.existsSync(pasta)) fs.mkdirSync(pasta);
+    const extensao = opcoes.format === 'junit' ? 'xml' : opcoes.format;
+    const arquivo = path.join(pasta, `${prefixoDaUrl(site.url)}-${carimboDeTempo()}.${extensao}`);
+    fs.writeFileSync(arquivo, gerarRelatorioHeadless([publicosDe(site)]));
+    logProgress(`Resultado de ${site.url} exportado para ${arquivo}`);
+  });
+
+  // Compor os detalhes completos, armazenar e atualizar a lista (e o painel, se o site estiver selecionado)
+  const aoConcluirSite = (site, dados) => {
+    const { url } = site;
+    resultsBySite[url] = composeDetails(site, dados);
+    desenharListaDeSites();
+    // Se for o primeiro site, atualiza os detalhes automaticamente
+    if (urlSelecionada === null) {
+      siteList.select(urlsNaLista.indexOf(url));
+      mostrarSite(url);
+    } else if (urlSelecionada === url) {
+      mostrarSite(url);
+    }
+  };
+
+  if (opcoes.serve) await servirPainel(sites, aoConcluirSite);
+  await executarRodada(sites, aoConcluirSite);
+
+  if (opcoes.watch) {
+    logProgress(`Verificação inicial concluída. Monitorando os sites. ${TECLAS}`);
+    await monitorar(sites, aoConcluirSite);
+  }
+  logProgress(`Processamento finalizado. ${TECLAS}`);
+  screen.render();
 }
 
-main();
+// Um erro fora das verificações encerra o script restaurando o terminal e fechando o Chrome
+main().catch(e => {
+  if (screen) screen.destroy();
+  process.stderr.write(chalk.red(`Erro inesperado: ${e.stack || e.message}`) + '\n');
+  encerrar(1);
+});